@@ -1,5 +1,16 @@
 declare var document: Document;
 
+// not shipped with the DOM definitions of flow 0.66
+declare class AbortSignal extends EventTarget {
+  aborted: boolean;
+  reason: any;
+}
+
+declare class AbortController {
+  signal: AbortSignal;
+  abort(reason?: any): void;
+}
+
 declare class RouteRegExp extends RegExp {
   keys: Array<{ name: string, optional: boolean }>;
 }
@@ -10,10 +21,22 @@ declare type PathToRegexpOptions = {
   end?: boolean
 }
 
+declare type PathToRegexpToken = {
+  name: string | number,
+  prefix: string,
+  delimiter: string,
+  optional: boolean,
+  repeat: boolean,
+  partial: boolean,
+  asterisk: boolean,
+  pattern: string
+}
+
 declare module 'path-to-regexp' {
   declare module.exports: {
     (path: string, keys?: Array<?{ name: string }>, options?: PathToRegexpOptions): RouteRegExp;
     compile: (path: string) => (params: Object) => string;
+    parse: (path: string) => Array<string | PathToRegexpToken>;
   }
 }
 
@@ -22,28 +45,71 @@ declare type Dictionary<T> = { [key: string]: T }
 declare type NavigationGuard = (
   to: Route,
   from: Route,
-  next: (to?: RawLocation | false | Function | void) => void
+  next: (to?: RawLocation | false | Function | void) => void,
+  signal?: AbortSignal
 ) => any
 
-declare type AfterNavigationHook = (to: Route, from: Route) => any
+declare type AfterNavigationHook = (to: Route, from: Route, failure?: Error) => any
 
 type Position = { x: number, y: number };
 type PositionResult = Position | { selector: string, offset?: Position } | void;
 
 declare type RouterOptions = {
   routes?: Array<RouteConfig>;
+  outlets?: Dictionary<Array<RouteConfig>>; // 各辅助出口的路由配置
   mode?: string;
   fallback?: boolean;
   base?: string;
   linkActiveClass?: string;
   linkExactActiveClass?: string;
-  parseQuery?: (query: string) => Object;
-  stringifyQuery?: (query: Object) => string;
+  parseQuery?: (query: string, format?: ?QueryFormat) => Object;
+  stringifyQuery?: (query: Object, format?: ?QueryFormat) => string;
+  queryFormat?: QueryFormat; // 嵌套的对象和数组在查询字符串中的格式
+  stickyQuery?: Array<string>; // 每次跳转都从当前路由带上的查询参数
   scrollBehavior?: (
     to: Route,
     from: Route,
     savedPosition: ?Position
   ) => PositionResult | Promise<PositionResult>;
+  navigationTimeout?: number;
+  asyncRetry?: AsyncRetryOptions;
+  reloadOnChunkError?: boolean | (error: Error, to: Route) => boolean;
+  storage?: 'session' | 'local' | HistoryStorage; // abstract模式下保存跳转路由栈的存储
+  storageKey?: string;
+  hashPrefix?: string; // hash模式下#与路径之间的前缀，如'#!/'
+  queryKey?: string; // query模式或子路由器保存路由路径的查询参数名
+  parent?: any; // 子路由器挂载到的父路由器
+  prefix?: string; // 子路由器在父路由器地址中的路径前缀
+}
+
+declare type QueryFormat = 'repeat' | 'bracket' | 'index' | 'comma' | 'json'
+
+declare type AsyncRetryOptions = {
+  retries?: number; // 异步组件加载失败后的重试次数
+  delay?: number | (attempt: number) => number; // 重试前等待的时间
+}
+
+declare type RouteParamType = {
+  parse: (value: string) => any;
+  stringify: (value: any) => string;
+}
+
+declare type RouteQueryType = {
+  parse: (value: string) => any;
+  stringify: (value: any) => string;
+  array: boolean; // 是否为数组
+  default: any; // 缺少或不合法时的默认值
+}
+
+declare type QueryModelOptions = {
+  type?: any;
+  values?: Array<any>;
+  parse?: (value: string) => any;
+  stringify?: (value: any) => string;
+  array?: boolean;
+  default?: any;
+  push?: boolean; // 以push而不是replace更新地址
+  debounce?: number; // 延迟更新地址的毫秒数
 }
 
 declare type RedirectOption = RawLocation | ((to: Route) => RawLocation)
@@ -55,14 +121,28 @@ declare type RouteConfig = {
   components?: Dictionary<any>;
   redirect?: RedirectOption;
   alias?: string | Array<string>;
-  children?: Array<RouteConfig>;
+  children?: Array<RouteConfig> | () => any;
   beforeEnter?: NavigationGuard;
   meta?: any;
   props?: boolean | Object | Function;
   caseSensitive?: boolean;
   pathToRegexpOptions?: PathToRegexpOptions;
+  params?: Dictionary<any>;
+  query?: Dictionary<any>; // 查询参数的类型和默认值
+  stickyQuery?: Array<string>; // 在该路由下跳转时保持的查询参数
+  navigationTimeout?: number;
+  loader?: RouteLoader;
+  loadingComponent?: any;
+  errorComponent?: any;
+  loadingDelay?: number;
+  loadingTimeout?: number;
 }
 
+declare type RouteLoader = (
+  to: Route,
+  context: { from: Route, signal?: AbortSignal }
+) => any
+
 declare type RouteRecord = {
   path: string;
   alias: Array<string>;
@@ -77,6 +157,17 @@ declare type RouteRecord = {
   beforeEnter: ?NavigationGuard;
   meta: any;
   props: boolean | Object | Function | Dictionary<boolean | Object | Function>;
+  paramTypes: Dictionary<RouteParamType>;
+  queryTypes: ?Dictionary<RouteQueryType>;
+  stickyQuery: Array<string>;
+  loadChildren: ?() => any;
+  prefixRegex: ?RouteRegExp;
+  navigationTimeout: ?number;
+  loader: ?RouteLoader;
+  loadingComponent: any;
+  errorComponent: any;
+  loadingDelay: ?number;
+  loadingTimeout: ?number;
 }
 
 declare type Location = {
@@ -88,10 +179,31 @@ declare type Location = {
   params?: Dictionary<string>;
   append?: boolean;
   replace?: boolean;
+  signal?: AbortSignal;
+  background?: RawLocation | true; // 以模态路由打开，true表示以当前路由为背景路由
+  outlets?: Dictionary<?string>; // 辅助出口的路径，null表示关闭出口
+  state?: Object; // 保存在历史记录中的用户状态
 }
 
 declare type RawLocation = string | Location
 
+declare type HistoryStorage = {
+  getItem: (key: string) => ?string;
+  setItem: (key: string, value: string) => void;
+}
+
+declare type AbstractHistoryChange = {
+  type: 'push' | 'replace' | 'go';
+  index: number;
+  stack: Array<Route>;
+}
+
+declare type RouteLoading = {
+  route: Route; // 等待异步组件的目标路由
+  error: ?Error; // 异步组件加载失败的错误
+  startedAt: number; // 开始加载的时间
+}
+
 declare type Route = {
   path: string;
   name: ?string;
@@ -102,4 +214,6 @@ declare type Route = {
   matched: Array<RouteRecord>;
   redirectedFrom?: string;
   meta?: any;
+  outlets?: Dictionary<Route>; // 各辅助出口匹配的路由
+  loaderData?: Array<any>; // 按matched的顺序保存的各路由记录loader的结果
 }
@@ -9,7 +9,16 @@ export default {
     name: {
       type: String,
       default: 'default'
-    }
+    },
+    // rendered while the async components of the pending navigation are loading
+    loadingComponent: [Object, Function],
+    // rendered when the async components failed to load, receives `error` and `retry`
+    errorComponent: [Object, Function],
+    loadingDelay: {
+      type: Number,
+      default: 200
+    },
+    loadingTimeout: Number
   },
   render (_, { props, children, parent, data }) { // 第一个参数为h，第二个参数为上下文对象。props为属性对象，children为VNode子节点数组，parent为父组件实例，data为传入给组件的数据对象（h的第二个参数）
     // used by devtools to display a router-view badge
@@ -20,23 +29,60 @@ export default {
     // 使用父组件的createElement() API，使通过router-view渲染的组件可以处理具名插槽 TODO 何解
     const h = parent.$createElement
     const name = props.name
-    const route = parent.$route
+    let key = name // 渲染的路由记录中的组件名
+    let route = parent.$route
+    // 当前路由作为模态路由打开时，名为modal的RouterView渲染当前路由，其他RouterView继续渲染背景路由
+    // the background changes together with $route, so reading it here is enough
+    const background = parent.$router.backgroundRoute
+    const outlets = parent.$router.options.outlets // 辅助出口的路由配置，同名的RouterView渲染出口的路由
+    const routeLoading = parent._routerRoot._routeLoading // 跳转中的导航的异步组件加载状态
+    const context = parent
     const cache = parent._routerViewCache || (parent._routerViewCache = {}) // 组件缓存
 
     // determine current view depth, also check to see if the tree
     // has been toggled inactive but kept-alive.
     let depth = 0
     let inactive = false
+    let scope = null // 所在的渲染模态路由或辅助出口的RouterView，深度从它开始计算
     while (parent && parent._routerRoot !== parent) { // 取根Vue实例
       const vnodeData = parent.$vnode ? parent.$vnode.data : {}
-      if (vnodeData.routerView) {
+      if (vnodeData.routerView && !scope) {
         depth++
       }
+      if (!scope && (vnodeData.routerViewModal || vnodeData.routerViewOutlet)) {
+        scope = vnodeData
+      }
       if (vnodeData.keepAlive && parent._directInactive && parent._inactive) { // keepAlive，未激活
         inactive = true
       }
       parent = parent.$parent
     }
+    const outlet = scope ? scope.routerViewOutlet : outlets && outlets[name] && name
+    if (outlet) {
+      // outlets are driven by their own route tree
+      route = route.outlets && route.outlets[outlet]
+      if (!scope) {
+        data.routerViewOutlet = outlet
+        key = 'default'
+      }
+      if (!route) {
+        cache[name] = null
+        return h()
+      }
+    } else if (background) {
+      // the modal view starts with the first record the modal route does not share with the background
+      const offset = sharedDepth(background, route)
+      if (scope) {
+        depth += offset
+      } else if (name === 'modal') {
+        data.routerViewModal = true
+        depth = offset
+        const record = route.matched[depth]
+        key = record && record.components.modal ? 'modal' : 'default'
+      } else {
+        route = background
+      }
+    }
     data.routerViewDepth = depth // router-view组件的深度
 
     // render previous view if the tree is inactive and kept-alive
@@ -47,7 +93,7 @@ export default {
         // #2301
         // pass props
         if (cachedData.configProps) {
-          fillPropsinData(cachedComponent, data, cachedData.route, cachedData.configProps)
+          fillPropsinData(cachedComponent, data, cachedData.route, cachedData.configProps, cachedData.loaderData)
         }
         return h(cachedComponent, data, children) // 渲染缓存组件
       } else {
@@ -56,8 +102,17 @@ export default {
       }
     }
 
+    // render the loading or the error component instead of the current view
+    // while the view of the pending navigation is waiting for async components
+    if (routeLoading && !background && !outlet) {
+      const placeholder = resolvePlaceholder(routeLoading, route, depth, props, context)
+      if (placeholder) {
+        return h(placeholder.component, { props: placeholder.props })
+      }
+    }
+
     const matched = route.matched[depth] // 取最后一个匹配的路由记录
-    const component = matched && matched.components[name] // 取组件
+    const component = matched && matched.components[key] // 取组件
 
     // render empty node if no matched route or no config component
     if (!matched || !component) {
@@ -72,19 +127,19 @@ export default {
     // this will be called in the instance's injected lifecycle hooks
     data.registerRouteInstance = (vm, val) => { // 注册Vue实例到路由记录中
       // val could be undefined for unregistration
-      const current = matched.instances[name]
+      const current = matched.instances[key]
       if (
         (val && current !== vm) ||
         (!val && current === vm)
       ) {
-        matched.instances[name] = val
+        matched.instances[key] = val
       }
     }
 
     // also register instance in prepatch hook
     // in case the same component instance is reused across different routes
     ;(data.hook || (data.hook = {})).prepatch = (_, vnode) => {
-      matched.instances[name] = vnode.componentInstance // 添加Vue组件实例的应用
+      matched.instances[key] = vnode.componentInstance // 添加Vue组件实例的应用
     }
 
     // register instance in init hook
@@ -92,9 +147,9 @@ export default {
     data.hook.init = (vnode) => {
       if (vnode.data.keepAlive &&
         vnode.componentInstance &&
-        vnode.componentInstance !== matched.instances[name]
+        vnode.componentInstance !== matched.instances[key]
       ) {
-        matched.instances[name] = vnode.componentInstance
+        matched.instances[key] = vnode.componentInstance
       }
 
       // if the route transition has already been confirmed then we weren't
@@ -103,23 +158,82 @@ export default {
       handleRouteEntered(route) // 执行routeEnter之后的回调函数
     }
 
-    const configProps = matched.props && matched.props[name]
+    const configProps = matched.props && matched.props[key]
     // save route and configProps in cache
     if (configProps) {
+      const loaderData = route.loaderData && route.loaderData[depth] // 该路由记录的loader的结果
       extend(cache[name], {
         route,
-        configProps
+        configProps,
+        loaderData
       })
-      fillPropsinData(component, data, route, configProps)
+      fillPropsinData(component, data, route, configProps, loaderData)
     }
 
     return h(component, data, children) // 渲染组件
   }
 }
 
-function fillPropsinData (component, data, route, configProps) {
+// 模态路由与背景路由共同的路由记录数
+function sharedDepth (background, route) {
+  let depth = 0
+  while (depth < route.matched.length && route.matched[depth] === background.matched[depth]) {
+    depth++
+  }
+  return depth
+}
+
+// 返回RouterView在异步组件加载中或加载失败时渲染的组件及其props
+function resolvePlaceholder (loading, route, depth, options, context) {
+  const record = loading.route.matched[depth]
+  // only the outermost view changed by the pending navigation is replaced
+  if (
+    !record ||
+    record === route.matched[depth] ||
+    (depth > 0 && loading.route.matched[depth - 1] !== route.matched[depth - 1])
+  ) {
+    return
+  }
+  const loadingComponent = record.loadingComponent || options.loadingComponent
+  const errorComponent = record.errorComponent || options.errorComponent
+  const delay = record.loadingDelay != null ? record.loadingDelay : options.loadingDelay
+  const timeout = record.loadingTimeout != null ? record.loadingTimeout : options.loadingTimeout
+  const retry = () => {
+    return context.$router.push(loading.route.fullPath).catch(err => err)
+  }
+
+  if (loading.error) {
+    return errorComponent && { component: errorComponent, props: { error: loading.error, retry }}
+  }
+
+  const elapsed = Date.now() - loading.startedAt
+  if (timeout != null && elapsed >= timeout) {
+    const error = new Error(
+      `Loading the components of "${loading.route.fullPath}" timed out after ${timeout}ms.`
+    )
+    return errorComponent && { component: errorComponent, props: { error, retry }}
+  }
+
+  // render again once the delay or the timeout is over
+  const stage = elapsed < delay ? delay : timeout
+  const timers = context._routerLoadingTimers || (context._routerLoadingTimers = {})
+  if (stage != null && timers[stage] !== loading) {
+    timers[stage] = loading
+    setTimeout(() => {
+      if (context._routerRoot._routeLoading === loading) {
+        context.$forceUpdate()
+      }
+    }, stage - elapsed)
+  }
+
+  if (elapsed >= delay && loadingComponent) {
+    return { component: loadingComponent, props: {}}
+  }
+}
+
+function fillPropsinData (component, data, route, configProps, loaderData) {
   // resolve props
-  let propsToPass = data.props = resolveProps(route, configProps)
+  let propsToPass = data.props = resolveProps(route, configProps, loaderData)
   if (propsToPass) {
     // clone to prevent mutation
     propsToPass = data.props = extend({}, propsToPass)
@@ -134,14 +248,15 @@ function fillPropsinData (component, data, route, configProps) {
   }
 }
 
-function resolveProps (route, config) {
+function resolveProps (route, config, loaderData) {
   switch (typeof config) {
     case 'undefined':
       return
     case 'object':
       return config
     case 'function':
-      return config(route)
+      // the result of the route loader is passed as the second argument
+      return config(route, loaderData)
     case 'boolean':
       return config ? route.params : undefined
     default:
@@ -4,34 +4,49 @@ import type VueRouter from './index'
 import { resolvePath } from './util/path'
 import { assert, warn } from './util/warn'
 import { createRoute } from './util/route'
-import { fillParams } from './util/params'
+import { fillParams, parseParams } from './util/params'
 import { createRouteMap } from './create-route-map'
-import { normalizeLocation } from './util/location'
+import { createRouteTrie } from './create-route-trie'
+import { normalizeLocation, keepStickyQuery } from './util/location'
 import { decode } from './util/query'
+import { extend } from './util/misc'
 
 export type Matcher = {
-  match: (raw: RawLocation, current?: Route, redirectedFrom?: Location) => Route;
+  match: (raw: RawLocation, current?: Route, redirectedFrom?: Location, sticky?: boolean) => Route;
   addRoutes: (routes: Array<RouteConfig>) => void;
-  addRoute: (parentNameOrRoute: string | RouteConfig, route?: RouteConfig) => void;
+  addRoute: (parentNameOrRoute: string | RouteConfig, route?: RouteConfig) => () => void;
+  removeRoute: (name: string) => void;
+  hasRoute: (name: string) => boolean;
   getRoutes: () => Array<RouteRecord>;
+  getLazyRecords: (path: string) => Array<RouteRecord>;
+  addLazyChildren: (record: RouteRecord, routes: Array<RouteConfig>) => void;
 };
 
 export function createMatcher (
   routes: Array<RouteConfig>,
-  router: VueRouter
+  router: VueRouter,
+  outlets?: ?Dictionary<Array<RouteConfig>> // 各辅助出口的路由配置
 ): Matcher {
-  const { 
+  const {
     pathList, // path列表
     pathMap, // path到RouteRecord的映射关系
     nameMap // name到RouteRecord的映射关系
   } = createRouteMap(routes) // 处理routes，生成path和name到RouteRecord的映射关系
+  let trie = createRouteTrie(pathList, pathMap) // 按path片段组织的路由记录前缀树
+  // 每个辅助出口使用独立的路由表
+  const outletMatchers: Dictionary<Matcher> = {}
+  for (const name in outlets) {
+    outletMatchers[name] = createMatcher(outlets[name], router)
+  }
 
   function addRoutes (routes) {
     createRouteMap(routes, pathList, pathMap, nameMap)
+    trie = createRouteTrie(pathList, pathMap)
   }
 
   function addRoute (parentOrRoute, route) {
     const parent = (typeof parentOrRoute !== 'object') ? nameMap[parentOrRoute] : undefined
+    const existingPaths = extend({}, pathMap) // 添加前已存在的path
     // $flow-disable-line
     createRouteMap([route || parentOrRoute], pathList, pathMap, nameMap, parent)
 
@@ -46,6 +61,98 @@ export function createMatcher (
         parent
       )
     }
+    trie = createRouteTrie(pathList, pathMap)
+
+    // records created by this call, including the children and alias records
+    const added = pathList
+      .filter(path => !existingPaths[path])
+      .map(path => pathMap[path])
+    return () => {
+      removeRecords(added)
+    }
+  }
+
+  // 删除name对应的路由记录，以及其子路由和别名路由
+  function removeRoute (name: string) {
+    const record = nameMap[name]
+    if (!record) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(false, `Cannot remove non-existent route "${name}"`)
+      }
+      return
+    }
+    // copies created for the aliases of a parent by addRoute share the name
+    removeRecords(pathList.map(path => pathMap[path]).filter(r => r.name === name).concat(record))
+  }
+
+  function hasRoute (name: string): boolean {
+    return !!nameMap[name]
+  }
+
+  // 删除路由记录，同时删除其所有子路由记录和别名路由记录
+  function removeRecords (records: Array<RouteRecord>) {
+    const isRemoved = (record: ?RouteRecord): boolean => {
+      while (record) {
+        if (records.indexOf(record) > -1) return true
+        record = record.parent
+      }
+      return false
+    }
+    // paths of removed records, alias records point to them with matchAs
+    const removedPaths = pathList.filter(path => isRemoved(pathMap[path]))
+    records.forEach(record => {
+      removedPaths.push(record.path || '/')
+    })
+    const shouldRemove = (record: RouteRecord): boolean =>
+      isRemoved(record) ||
+      (record.matchAs != null && removedPaths.indexOf(record.matchAs) > -1)
+
+    for (let i = pathList.length - 1; i >= 0; i--) {
+      const path = pathList[i]
+      if (shouldRemove(pathMap[path])) {
+        pathList.splice(i, 1)
+        delete pathMap[path]
+      }
+    }
+    for (const name in nameMap) {
+      if (shouldRemove(nameMap[name])) {
+        delete nameMap[name]
+      }
+    }
+    trie = createRouteTrie(pathList, pathMap)
+  }
+
+  // 获取path所在的、子路由尚未加载的路由记录
+  function getLazyRecords (path: string): Array<RouteRecord> {
+    const records = []
+    for (let i = 0; i < pathList.length; i++) {
+      const prefixRecord = pathMap[pathList[i]]
+      const prefixRegex = prefixRecord.prefixRegex
+      if (!prefixRecord.loadChildren || !prefixRegex) continue
+      // alias records load the children of the aliased record
+      const record = prefixRecord.matchAs && pathMap[prefixRecord.matchAs]
+        ? pathMap[prefixRecord.matchAs]
+        : prefixRecord
+      if (records.indexOf(record) < 0 && prefixRegex.test(path)) {
+        records.push(record)
+      }
+    }
+    return records
+  }
+
+  // 将加载完成的子路由添加到路由记录及其别名下
+  function addLazyChildren (record: RouteRecord, routes: Array<RouteConfig>) {
+    if (!record.loadChildren) return
+    const aliasRecords = pathList
+      .map(path => pathMap[path])
+      .filter(aliasRecord => aliasRecord.loadChildren && aliasRecord.matchAs === (record.path || '/'))
+    record.loadChildren = null
+    createRouteMap(routes, pathList, pathMap, nameMap, record)
+    aliasRecords.forEach(aliasRecord => {
+      aliasRecord.loadChildren = null
+      createRouteMap(routes, pathList, pathMap, nameMap, aliasRecord, aliasRecord.matchAs)
+    })
+    trie = createRouteTrie(pathList, pathMap)
   }
 
   function getRoutes () {
@@ -56,9 +163,10 @@ export function createMatcher (
   function match (
     raw: RawLocation, // 路径
     currentRoute?: Route, // 当前路由
-    redirectedFrom?: Location // 重定向来源路径
+    redirectedFrom?: Location, // 重定向来源路径
+    sticky?: boolean // 是否带上当前路由的保持参数
   ): Route {
-    const location = normalizeLocation(raw, currentRoute, false, router)
+    const location = normalizeLocation(raw, currentRoute, false, router, sticky)
     const { name } = location
 
     if (name) { // 以name匹配路由
@@ -83,14 +191,27 @@ export function createMatcher (
         }
       }
 
-      location.path = fillParams(record.path, location.params, `named route "${name}"`)
+      location.path = fillParams(record.path, location.params, `named route "${name}"`, record.paramTypes)
+      if (!parseParams(record.paramTypes, location.params)) { // param不符合类型
+        if (process.env.NODE_ENV !== 'production') {
+          warn(false, `invalid params for named route "${name}": ${JSON.stringify(location.params)}`)
+        }
+        return _createRoute(null, location)
+      }
+      keepRouteStickyQuery(record, location, sticky ? currentRoute : null)
       return _createRoute(record, location, redirectedFrom)
     } else if (location.path) { // 以path匹配
+      const path = location.path
       location.params = {}
-      for (let i = 0; i < pathList.length; i++) {
-        const path = pathList[i]
-        const record = pathMap[path]
-        if (matchRoute(record.regex, location.path, location.params)) {
+      // only the records sharing the segments of the path are tested
+      const records = trie.lookup(path)
+      for (let i = 0; i < records.length; i++) {
+        const record = records[i]
+        const params = {}
+        // records whose params have invalid values are skipped
+        if (matchRoute(record.regex, path, params) && parseParams(record.paramTypes, params)) {
+          location.params = params
+          keepRouteStickyQuery(record, location, sticky ? currentRoute : null)
           return _createRoute(record, location, redirectedFrom)
         }
       }
@@ -139,19 +260,21 @@ export function createMatcher (
         name,
         query,
         hash,
-        params
+        params,
+        outlets: location.outlets
       }, undefined, location)
     } else if (path) {
       // 1. resolve relative redirect
       const rawPath = resolveRecordPath(path, record)
       // 2. resolve params
-      const resolvedPath = fillParams(rawPath, params, `redirect route with path "${rawPath}"`)
+      const resolvedPath = fillParams(rawPath, params, `redirect route with path "${rawPath}"`, record.paramTypes)
       // 3. rematch with existing query and hash
       return match({
         _normalized: true,
         path: resolvedPath,
         query,
-        hash
+        hash,
+        outlets: location.outlets
       }, undefined, location)
     } else {
       if (process.env.NODE_ENV !== 'production') {
@@ -166,7 +289,7 @@ export function createMatcher (
     location: Location,
     matchAs: string
   ): Route {
-    const aliasedPath = fillParams(matchAs, location.params, `aliased route with path "${matchAs}"`)
+    const aliasedPath = fillParams(matchAs, location.params, `aliased route with path "${matchAs}"`, record.paramTypes)
     const aliasedMatch = match({
       _normalized: true,
       path: aliasedPath
@@ -192,17 +315,49 @@ export function createMatcher (
     if (record && record.matchAs) {
       return alias(record, location, record.matchAs) // 匹配别名的路由
     }
-    return createRoute(record, location, redirectedFrom, router) // 创建一个Route对象
+    return createRoute(record, location, redirectedFrom, router, matchOutlets(location.outlets)) // 创建一个Route对象
+  }
+
+  // 匹配各辅助出口的路由
+  function matchOutlets (paths: ?Dictionary<string>): ?Dictionary<Route> {
+    let routes
+    for (const name in paths) {
+      if (!outletMatchers[name]) {
+        if (process.env.NODE_ENV !== 'production') {
+          warn(false, `Outlet "${name}" does not exist`)
+        }
+        continue
+      }
+      routes = routes || {}
+      routes[name] = outletMatchers[name].match(paths[name])
+    }
+    return routes
   }
 
   return {
     match,
     addRoute,
+    removeRoute,
+    hasRoute,
     getRoutes,
+    getLazyRecords,
+    addLazyChildren,
     addRoutes // 添加路由
   }
 }
 
+// 目标路由和当前路由同在声明了stickyQuery的路由下时，带上该路由的保持参数
+function keepRouteStickyQuery (record: RouteRecord, location: Location, current: ?Route) {
+  if (!current) return
+  const keys = []
+  for (let r = record; r; r = r.parent) {
+    if (r.stickyQuery.length && current.matched.indexOf(r) > -1) {
+      keys.push.apply(keys, r.stickyQuery)
+    }
+  }
+  location.query = keepStickyQuery(location.query, current, keys)
+}
+
 function matchRoute (
   regex: RouteRegExp,
   path: string,
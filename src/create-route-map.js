@@ -3,13 +3,17 @@
 import Regexp from 'path-to-regexp'
 import { cleanPath } from './util/path'
 import { assert, warn } from './util/warn'
+import { normalizeParamTypes } from './util/params'
+import { normalizeQueryTypes } from './util/query-types'
+import { parseSegments, compareSegments } from './util/segments'
 
 export function createRouteMap (
   routes: Array<RouteConfig>,
   oldPathList?: Array<string>,
   oldPathMap?: Dictionary<RouteRecord>,
   oldNameMap?: Dictionary<RouteRecord>,
-  parentRoute?: RouteRecord
+  parentRoute?: RouteRecord,
+  matchAs?: ?string
 ): {
   pathList: Array<string>,
   pathMap: Dictionary<RouteRecord>,
@@ -22,19 +26,17 @@ export function createRouteMap (
   // $flow-disable-line
   const nameMap: Dictionary<RouteRecord> = oldNameMap || Object.create(null)
 
+  const existingCount = pathList.length // 新的path添加在pathList末尾
+
   // 遍历路由
   routes.forEach(route => {
-    addRouteRecord(pathList, pathMap, nameMap, route, parentRoute) // 递归转换route为RouteRecord，并维护path和name到RouteRecord的映射关系
+    const routeMatchAs = matchAs ? cleanPath(`${matchAs}/${route.path}`) : undefined
+    addRouteRecord(pathList, pathMap, nameMap, route, parentRoute, routeMatchAs) // 递归转换route为RouteRecord，并维护path和name到RouteRecord的映射关系
   })
 
-  // ensure wildcard routes are always at the end 将* path排在最后边
-  for (let i = 0, l = pathList.length; i < l; i++) {
-    if (pathList[i] === '*') {
-      pathList.push(pathList.splice(i, 1)[0])
-      l--
-      i--
-    }
-  }
+  // rank routes by specificity so that static segments win over params and
+  // wildcards are always at the end, whatever the order they were added in
+  rankPathList(pathList, pathMap, pathList.slice(existingCount))
 
   if (process.env.NODE_ENV === 'development') {
     // warn if routes do not include leading slashes
@@ -55,6 +57,77 @@ export function createRouteMap (
   }
 }
 
+// 按路由记录path的得分对pathList排序，得分相同的保持原有顺序（子路由在父路由之前）
+function rankPathList (
+  pathList: Array<string>,
+  pathMap: Dictionary<RouteRecord>,
+  addedPaths: Array<string> // 本次添加的path，只检查与它们重复的路由
+) {
+  // $flow-disable-line
+  const indexes: Dictionary<number> = Object.create(null)
+  pathList.forEach((path, index) => {
+    indexes[path] = index
+  })
+  const ranked = pathList.map((path, index) => {
+    // equally ranked child routes come right before their parent, e.g. default
+    // child routes, so they are ordered by the index of their first ancestor
+    let groupIndex = index
+    let depth = 0
+    let parent = pathMap[path].parent
+    while (parent) {
+      depth++
+      if (pathMap[parent.path] === parent) {
+        groupIndex = Math.min(groupIndex, indexes[parent.path])
+      }
+      parent = parent.parent
+    }
+    return { path, index, groupIndex, depth, segments: parseSegments(path) }
+  })
+  ranked.sort((a, b) =>
+    compareSegments(a.segments, b.segments) ||
+    a.groupIndex - b.groupIndex ||
+    b.depth - a.depth ||
+    a.index - b.index
+  )
+
+  // $flow-disable-line
+  const shapes: Dictionary<RouteRecord> = Object.create(null)
+  ranked.forEach(({ path, segments }, i) => {
+    pathList[i] = path
+
+    if (process.env.NODE_ENV !== 'production') {
+      // warn if the record can never be matched because of a previous one,
+      // the routes added before were already checked
+      const record = pathMap[path]
+      const shape = segments
+        .map(segment => record.regex.ignoreCase ? segment.key.toLowerCase() : segment.key)
+        .join('/')
+      const other = shapes[shape]
+      if (!other) {
+        shapes[shape] = record
+      } else if (
+        (addedPaths.indexOf(path) > -1 || addedPaths.indexOf(other.path) > -1) &&
+        !isRecordChildOf(record, other) &&
+        !isRecordChildOf(other, record)
+      ) {
+        warn(
+          false,
+          `Route with path "${record.path}" matches the same URLs as the route ` +
+            `with path "${other.path}" and will never be matched.`
+        )
+      }
+    }
+  })
+}
+
+function isRecordChildOf (record: ?RouteRecord, parent: RouteRecord): boolean {
+  while (record) {
+    if (record.parent === parent) return true
+    record = record.parent
+  }
+  return false
+}
+
 // 递归转换route为RouteRecord，并维护path和name到RouteRecord的映射关系
 function addRouteRecord (
   pathList: Array<string>, // path列表
@@ -113,10 +186,25 @@ function addRouteRecord (
         ? {}
         : route.components
           ? route.props
-          : { default: route.props }
+          : { default: route.props },
+    paramTypes: normalizeParamTypes(route.params, parent, normalizedPath), // param名到类型的映射关系
+    queryTypes: normalizeQueryTypes(route.query, parent, normalizedPath), // 查询参数名到类型、默认值的映射关系
+    stickyQuery: route.stickyQuery || [], // 在该路由下跳转时保持的查询参数
+    loadChildren: null, // 异步加载子路由的函数
+    prefixRegex: null, // 匹配以该path开头的路径的正则表达式，用于查找需要加载子路由的记录
+    navigationTimeout: route.navigationTimeout, // 进入该路由的导航的超时时间
+    loader: route.loader, // 导航确认前加载数据的函数
+    loadingComponent: route.loadingComponent, // 等待异步组件时RouterView渲染的组件
+    errorComponent: route.errorComponent, // 异步组件加载失败时RouterView渲染的组件
+    loadingDelay: route.loadingDelay,
+    loadingTimeout: route.loadingTimeout
   }
 
-  if (route.children) {
+  if (typeof route.children === 'function') {
+    // children loaded on the first navigation into this route
+    record.loadChildren = route.children
+    record.prefixRegex = Regexp(normalizedPath, [], { end: false, sensitive: !record.regex.ignoreCase })
+  } else if (route.children) {
     // Warn if route is named, does not redirect and has a default child route.
     // If users navigate to this route by name, the default child will
     // not be rendered (GH Issue #629)
@@ -166,6 +254,7 @@ function addRouteRecord (
 
       const aliasRoute = {
         path: alias,
+        params: route.params,
         children: route.children
       }
       addRouteRecord(
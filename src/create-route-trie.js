@@ -0,0 +1,115 @@
+/* @flow */
+
+import { parseSegments } from './util/segments'
+import type { PathSegment } from './util/segments'
+
+type TrieNode = {
+  statics: Dictionary<TrieNode>, // 静态片段对应的子节点
+  param: ?TrieNode, // 动态参数片段对应的子节点
+  records: Array<number>, // 在该节点结束的路由记录
+  rest: Array<number> // 可匹配该节点下任意路径的路由记录（通配符、自定义正则等）
+}
+
+export type RouteTrie = {
+  lookup: (path: string) => Array<RouteRecord>
+}
+
+/**
+ * Compile the route records of a route map into a segment trie. The trie only
+ * narrows down the candidate records for a path, each candidate still has to
+ * be matched against its own regex. Candidates are returned in the order of
+ * pathList so the first regex hit is the same as with a linear scan.
+ */
+export function createRouteTrie (
+  pathList: Array<string>,
+  pathMap: Dictionary<RouteRecord>
+): RouteTrie {
+  const root = createNode()
+  const records = pathList.map(path => pathMap[path])
+
+  records.forEach((record, index) => {
+    insert(root, parseSegments(record.path), 0, index, isPrefixRegex(record.regex))
+  })
+
+  function lookup (path: string): Array<RouteRecord> {
+    const indexes = []
+    collect(root, splitPath(path), 0, indexes)
+    return indexes
+      .sort((a, b) => a - b)
+      .filter((index, i) => index !== indexes[i - 1]) // 去重
+      .map(index => records[index])
+  }
+
+  return {
+    lookup
+  }
+}
+
+function createNode (): TrieNode {
+  return {
+    // $flow-disable-line
+    statics: Object.create(null),
+    param: null,
+    records: [],
+    rest: []
+  }
+}
+
+// 将路由记录插入到segments对应的节点中
+function insert (
+  node: TrieNode,
+  segments: Array<PathSegment>,
+  i: number,
+  index: number,
+  prefix: boolean
+) {
+  if (i >= segments.length) {
+    // routes compiled with `end: false` also match any deeper path
+    (prefix ? node.rest : node.records).push(index)
+    return
+  }
+  const segment = segments[i]
+  if (segment.type === 'dynamic') {
+    node.rest.push(index)
+  } else if (segment.type === 'param') {
+    if (segment.optional) {
+      insert(node, segments, i + 1, index, prefix)
+    }
+    insert(node.param || (node.param = createNode()), segments, i + 1, index, prefix)
+  } else {
+    const key = segment.value.toLowerCase()
+    insert(node.statics[key] || (node.statics[key] = createNode()), segments, i + 1, index, prefix)
+  }
+}
+
+// 收集可能匹配segments的路由记录
+function collect (
+  node: TrieNode,
+  segments: Array<string>,
+  i: number,
+  indexes: Array<number>
+) {
+  indexes.push.apply(indexes, node.rest)
+  if (i >= segments.length) {
+    indexes.push.apply(indexes, node.records)
+    return
+  }
+  const segment = segments[i]
+  const child = node.statics[segment.toLowerCase()]
+  if (child) {
+    collect(child, segments, i + 1, indexes)
+  }
+  if (node.param && segment) {
+    collect(node.param, segments, i + 1, indexes)
+  }
+}
+
+// split a path into segments, ignoring the leading and trailing slash
+function splitPath (path: string): Array<string> {
+  path = path.replace(/^\//, '').replace(/\/$/, '')
+  return path ? path.split('/') : []
+}
+
+function isPrefixRegex (regex: RouteRegExp): boolean {
+  return regex.source.charAt(regex.source.length - 1) !== '$'
+}
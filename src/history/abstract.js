@@ -3,15 +3,83 @@
 import type Router from '../index'
 import { History } from './base'
 import { NavigationFailureType, isNavigationFailure } from '../util/errors'
+import {
+  DEFAULT_STORAGE_KEY,
+  resolveHistoryStorage,
+  readHistory,
+  writeHistory
+} from '../util/history-storage'
 
 export class AbstractHistory extends History {
   index: number
   stack: Array<Route> // 跳转路由栈
+  states: Array<Object> // 与跳转路由栈对应的历史记录状态
+  storage: ?HistoryStorage // 保存跳转路由栈的存储
+  storageKey: string
+  changeCbs: Array<Function> // 跳转路由栈变化的回调
 
   constructor (router: Router, base: ?string) {
     super(router, base)
     this.stack = []
+    this.states = []
     this.index = -1
+    this.changeCbs = []
+    this.storage = resolveHistoryStorage(router.options.storage)
+    this.storageKey = router.options.storageKey || DEFAULT_STORAGE_KEY
+    if (this.storage) {
+      this.restore(this.storage)
+    }
+  }
+
+  // 从存储中恢复跳转路由栈
+  restore (storage: HistoryStorage) {
+    const saved = readHistory(storage, this.storageKey)
+    if (!saved) {
+      return
+    }
+    this.stack = saved.entries.map(entry => this.router.match(entry.fullPath))
+    this.states = saved.entries.map(entry => entry.state || {})
+    this.index = Math.min(Math.max(saved.index, 0), this.stack.length - 1)
+  }
+
+  get canGoBack (): boolean {
+    return this.index > 0
+  }
+
+  get canGoForward (): boolean {
+    return this.index < this.stack.length - 1
+  }
+
+  // 添加跳转路由栈变化时的回调，返回移除回调的函数
+  onChange (cb: (change: AbstractHistoryChange) => void): Function {
+    this.changeCbs.push(cb)
+    return () => {
+      const i = this.changeCbs.indexOf(cb)
+      if (i > -1) this.changeCbs.splice(i, 1)
+    }
+  }
+
+  // 跳转路由栈或当前位置变化后，写入存储并执行回调
+  changed (type: 'push' | 'replace' | 'go') {
+    this.persist()
+    const change = { type, index: this.index, stack: this.stack }
+    this.changeCbs.slice().forEach(cb => {
+      cb(change)
+    })
+  }
+
+  // 将跳转路由栈写入存储
+  persist () {
+    if (!this.storage) {
+      return
+    }
+    writeHistory(this.storage, this.storageKey, {
+      index: this.index,
+      entries: this.stack.map((route, i) => ({
+        fullPath: route.fullPath,
+        state: this.states[i]
+      }))
+    })
   }
 
   push (location: RawLocation, onComplete?: Function, onAbort?: Function) {
@@ -19,7 +87,9 @@ export class AbstractHistory extends History {
       location,
       route => {
         this.stack = this.stack.slice(0, this.index + 1).concat(route)
+        this.states = this.states.slice(0, this.index + 1).concat(this.getEntryState())
         this.index++
+        this.changed('push')
         onComplete && onComplete(route)
       },
       onAbort
@@ -30,7 +100,12 @@ export class AbstractHistory extends History {
     this.transitionTo(
       location,
       route => {
-        this.stack = this.stack.slice(0, this.index).concat(route)
+        // replacing before any push creates the first entry
+        const index = Math.max(this.index, 0)
+        this.stack = this.stack.slice(0, index).concat(route)
+        this.states = this.states.slice(0, index).concat(this.getEntryState())
+        this.index = index
+        this.changed('replace')
         onComplete && onComplete(route)
       },
       onAbort
@@ -43,12 +118,16 @@ export class AbstractHistory extends History {
       return
     }
     const route = this.stack[targetIndex]
+    const entry = this.states[targetIndex] || {}
     this.confirmTransition(
       route,
       () => {
         const prev = this.current
         this.index = targetIndex
+        this.background = entry.background ? this.router.match(entry.background, route) : null
+        this.state = entry.state || null
         this.updateRoute(route)
+        this.changed('go')
         this.router.afterHooks.forEach(hook => {
           hook && hook(route, prev)
         })
@@ -56,16 +135,35 @@ export class AbstractHistory extends History {
       err => {
         if (isNavigationFailure(err, NavigationFailureType.duplicated)) {
           this.index = targetIndex
+          this.changed('go')
+        }
+        // same as transitionTo, after hooks observe failed navigations
+        if (isNavigationFailure(err)) {
+          this.router.afterHooks.forEach(hook => {
+            hook && hook(err.to, this.current, err)
+          })
         }
       }
     )
   }
 
   getCurrentLocation () {
-    const current = this.stack[this.stack.length - 1]
+    // the current entry is not the last one after going back
+    const current = this.stack[this.index]
     return current ? current.fullPath : '/'
   }
 
+  getCurrentState (): ?Object {
+    return this.states[this.index]
+  }
+
+  saveEntryState () {
+    if (this.index > -1) {
+      this.states[this.index] = this.getEntryState()
+      this.persist()
+    }
+  }
+
   ensureURL () {
     // noop
   }
@@ -5,28 +5,43 @@ import type Router from '../index'
 import { inBrowser } from '../util/dom'
 import { runQueue } from '../util/async'
 import { warn } from '../util/warn'
-import { START, isSameRoute, handleRouteEntered } from '../util/route'
+import { extend } from '../util/misc'
+import { parsePath } from '../util/path'
+import { START, isSameRoute, isObjectEqual, handleRouteEntered } from '../util/route'
+import { isChunkLoadError, reloadPage, clearReloadedPage } from '../util/chunk-reload'
 import {
   flatten,
   flatMapComponents,
-  resolveAsyncComponents
+  resolveAsyncComponents,
+  resolveLazyChildren,
+  resolveLoaders
 } from '../util/resolve-components'
 import {
   createNavigationDuplicatedError,
   createNavigationCancelledError,
   createNavigationRedirectedError,
   createNavigationAbortedError,
+  createNavigationSignalCancelledError,
+  createNavigationTimedOutError,
   isError,
   isNavigationFailure,
   NavigationFailureType
 } from '../util/errors'
 
+// 钩子返回后多久仍未调用next时提示导航挂起
+const GUARD_HANG_WARNING_DELAY = 5000
+
 export class History {
   router: Router
   base: string // 基础路径
   current: Route // 当前路由
+  background: ?Route // 模态路由下继续渲染的背景路由
+  state: ?Object // 当前历史记录中保存的用户状态
   pending: ?Route // 跳转中的目标路由
+  pendingController: ?AbortController // 跳转中的导航的AbortController
   cb: (r: Route) => void // 当前路由更新时的回调
+  loading: ?RouteLoading // 跳转中的导航等待的异步组件的加载状态
+  loadingCb: (loading: ?RouteLoading) => void // 加载状态更新时的回调
   ready: boolean // 跳转完成
   readyCbs: Array<Function> // 跳转完成的回调
   readyErrorCbs: Array<Function> // 跳转错误回调
@@ -44,14 +59,20 @@ export class History {
   ) => void
   +ensureURL: (push?: boolean) => void
   +getCurrentLocation: () => string
+  +getCurrentState: () => ?Object
+  +saveEntryState: () => void
   +setupListeners: Function
 
   constructor (router: Router, base: ?string) {
     this.router = router
     this.base = normalizeBase(base)
     // start with a route object that stands for "nowhere"
-    this.current = START 
+    this.current = START
+    this.background = null
+    this.state = null
     this.pending = null
+    this.pendingController = null
+    this.loading = null
     this.ready = false
     this.readyCbs = []
     this.readyErrorCbs = []
@@ -64,6 +85,11 @@ export class History {
     this.cb = cb
   }
 
+  // 添加更新异步组件加载状态时的回调
+  listenLoading (cb: Function) {
+    this.loadingCb = cb
+  }
+
   onReady (cb: Function, errorCb: ?Function) {
     if (this.ready) {
       cb()
@@ -83,12 +109,14 @@ export class History {
   transitionTo (
     location: RawLocation, // 目标地址
     onComplete?: Function, // 完毕回调
-    onAbort?: Function // 错误回调
+    onAbort?: Function, // 错误回调
+    rematch?: boolean // 重新匹配浏览器当前地址：不带上保持参数，当前路由不变时不报告给afterEach
   ) {
     let route
     // catch redirect option https://github.com/vuejs/vue-router/issues/3201
     try {
-      route = this.router.match(location, this.current) // 匹配路由
+      // the sticky query keys only follow push and replace, going back to an entry keeps its URL
+      route = this.router.match(location, this.current, undefined, !rematch) // 匹配路由
     } catch (e) {
       this.errorCbs.forEach(cb => {
         cb(e)
@@ -97,9 +125,16 @@ export class History {
       throw e
     }
     const prev = this.current
+    // router.push({ path, signal }) 可以通过AbortSignal取消本次跳转
+    const signal = location && typeof location === 'object' ? location.signal : null
+    const { state } = this.resolveEntry(location)
+    const background = this.resolveBackground(location)
     this.confirmTransition(
       route, // 目标路由
-      () => { // 完毕回调
+      route => { // 完毕回调，route可能是加载异步子路由后重新匹配的路由
+        // the background is read by RouterView while rendering the new route
+        this.background = background && background.fullPath !== route.fullPath ? background : null
+        this.state = state || null
         this.updateRoute(route) // 更新当前路由
         onComplete && onComplete(route) // 执行完毕回调
         this.ensureURL() // 更新浏览器地址
@@ -119,6 +154,15 @@ export class History {
         if (onAbort) { // 执行错误回调
           onAbort(err)
         }
+        // after hooks observe failed navigations as well
+        if (
+          isNavigationFailure(err) &&
+          !(rematch && isNavigationFailure(err, NavigationFailureType.duplicated))
+        ) {
+          this.router.afterHooks.forEach(hook => {
+            hook && hook(err.to, prev, err)
+          })
+        }
         if (err && !this.ready) { // 置就绪状态
           // Initial redirection should not mark the history as ready yet
           // because it's triggered by the redirection instead
@@ -131,19 +175,94 @@ export class History {
             })
           }
         }
-      }
+      },
+      signal
     )
   }
 
+  // 路由表变化后重新匹配当前地址
+  rematchCurrent () {
+    if (this.current !== START) {
+      this.transitionTo(this.getCurrentLocation(), undefined, undefined, true)
+    }
+  }
+
   // 路由跳转
-  confirmTransition (route: Route, onComplete: Function, onAbort?: Function) {
+  confirmTransition (
+    route: Route,
+    onComplete: Function,
+    onAbort?: Function,
+    signal?: ?AbortSignal, // 用户传入的AbortSignal
+    startedAt?: number // 导航开始的时间，加载异步子路由后重新确认时沿用
+  ) {
     const current = this.current
+    const navigationStart = startedAt || Date.now()
     this.pending = route
+    // a new navigation replaces the loading state of the previous one
+    if (this.loading) {
+      this.updateLoading(null)
+    }
+    // 取消上一个跳转中的导航的signal，并为本次导航创建新的AbortController
+    if (this.pendingController) {
+      this.pendingController.abort()
+    }
+    const controller = (this.pendingController = createAbortController())
+    const navigationSignal = controller ? controller.signal : undefined
+    let settled = false // 导航是否已完成或失败
+    let timer // 导航超时的定时器
+    let hangTimer // 开发环境下检查钩子是否忘记调用next的定时器
+    // abort() also runs before the hooks, for duplicated navigations and aborted signals
+    let runningHook: ?NavigationGuard = null // 正在执行的钩子，导航超时时用于报告
+    const onSignalAbort = () => {
+      if (this.pending === route) {
+        this.pending = null
+        controller && controller.abort()
+        abort(createNavigationSignalCancelledError(current, route))
+      }
+    }
+    const cleanup = () => {
+      if (this.pendingController === controller) {
+        this.pendingController = null
+      }
+      signal && signal.removeEventListener('abort', onSignalAbort)
+      clearTimeout(timer)
+      clearTimeout(hangTimer)
+    }
     const abort = err => {
+      if (settled) return
+      settled = true
+      cleanup()
+      // asyncHook is only compared once a hook is running
+      const asyncFailed = runningHook !== null && runningHook === asyncHook && isError(err) && !isNavigationFailure(err)
+      if (this.loading && this.loading.route === route) {
+        // let the RouterView render the error of the async components
+        this.updateLoading(asyncFailed ? { route, error: err, startedAt: this.loading.startedAt } : null)
+      }
+      // load the new build of the app when the chunks of the running one are gone
+      if (
+        asyncFailed &&
+        shouldReloadOnChunkError(this.router.options.reloadOnChunkError, err, route)
+      ) {
+        reloadPage(this.router.resolve(route.fullPath).href)
+      }
+      // errors thrown by the guards and loaders that stopped their work because
+      // the navigation was cancelled, e.g. an AbortError of fetch
+      if (
+        navigationSignal &&
+        navigationSignal.aborted &&
+        this.pending !== route &&
+        !isNavigationFailure(err)
+      ) {
+        err = createNavigationCancelledError(current, route)
+      }
       // changed after adding errors with
       // https://github.com/vuejs/vue-router/pull/3047 before that change,
       // redirect and aborted navigation would produce an err == null
-      if (!isNavigationFailure(err) && isError(err)) {
+      // timed out navigations are reported as errors as well
+      if (
+        (!isNavigationFailure(err) && isError(err)) ||
+        isNavigationFailure(err, NavigationFailureType.timedOut)
+      ) {
         if (this.errorCbs.length) {
           this.errorCbs.forEach(cb => {
             cb(err)
@@ -156,7 +275,7 @@ export class History {
       onAbort && onAbort(err)
     }
     const lastRouteIndex = route.matched.length - 1
-    const lastCurrentIndex = current.matched.lengt·h - 1
+    const lastCurrentIndex = current.matched.length - 1
     if (
       isSameRoute(route, current) && // 目标路由与当前路由是同一个路由，参数等都相同
       // in the case the route map has been dynamically appended to
@@ -167,68 +286,202 @@ export class History {
       return abort(createNavigationDuplicatedError(current, route)) // 执行错误回调
     }
 
-    const { 
+    if (signal) {
+      if (signal.aborted) {
+        this.pending = null
+        return abort(createNavigationSignalCancelledError(current, route))
+      }
+      signal.addEventListener('abort', onSignalAbort)
+    }
+
+    const {
       updated, // 匹配列表的相同路由
       deactivated, // 当前路由的匹配列表剩余路由
       activated // 新路由的匹配列表剩余路由
-    } = resolveQueue(
-      this.current.matched,
-      route.matched
-    )
+    } = resolveRouteQueue(this.current, route) // 包括各辅助出口的路由记录
 
+    const leaveGuards = extractLeaveGuards(deactivated) // 老路由涉及的组件的beforeRouteLeave钩子函数
+    const updateHooks = extractUpdateHooks(updated) // 相同路由涉及的组件的beforeRouteUpdate钩子函数
+    const asyncHook = resolveAsyncComponents(activated, this.router.options.asyncRetry) // 返回钩子函数，该钩子函数是执行异步组件工厂函数获取组件配置对象
+    let enterGuards = [] // 异步组件加载完成后提取
+    // loader的结果按route.matched的顺序保存在route.loaderData中，导航确认时才写入新的路由对象
+    // 新激活的路由记录、params变化了的复用路由记录，以及query变化时最深的路由记录需要执行loader，其余复用上一次的结果
+    const loaderData = route.matched.some(m => m.loader)
+      ? route.matched.map((m, i) => current.matched[i] === m && current.loaderData ? current.loaderData[i] : undefined)
+      : null
+    const loaderHook = resolveLoaders(
+      route.matched.filter(m => m.loader && shouldRunLoader(m, route, current)),
+      (record, data) => {
+        (loaderData: any)[route.matched.indexOf(record)] = data
+      }
+    )
     const queue: Array<?NavigationGuard> = [].concat( // 合并钩子函数列表
       // in-component leave guards
-      extractLeaveGuards(deactivated), // 老路由涉及的组件的beforeRouteLeave钩子函数
+      leaveGuards,
       // global before hooks
       this.router.beforeHooks, // router的before钩子函数
       // in-component update hooks
-      extractUpdateHooks(updated), // 相同路由涉及的组件的beforeRouteUpdate钩子函数
+      updateHooks,
       // in-config enter guards
       activated.map(m => m.beforeEnter), // 新路由涉及的组件的beforeEnter钩子函数
       // async components
-      resolveAsyncComponents(activated) // 返回钩子函数，该钩子函数是执行异步组件工厂函数获取组件配置对象
+      asyncHook,
+      // route loaders, run once the components are resolved
+      loaderHook
     )
 
+    // the lazy child routes are loaded first and the location is matched again with them
+    // 以重定向前的地址查找，否则'*'之类的重定向会先于子路由匹配
+    const lazyRecords = this.router.matcher.getLazyRecords(parsePath(route.redirectedFrom || route.fullPath).path)
+    const lazyHook = lazyRecords.length
+      ? resolveLazyChildren(lazyRecords, this.router.matcher.addLazyChildren)
+      : null
+
+    // 描述导航超时时卡住的钩子
+    const describeHook = (hook: ?Function): string => {
+      if (hook && hook === lazyHook) {
+        return `the child routes of ${lazyRecords.map(m => `"${m.path}"`).join(', ')}`
+      }
+      if (hook && hook === asyncHook) {
+        const pending = flatMapComponents(activated, (def, _, match, key) => {
+          return isAsyncComponent(def) ? `"${key}" of "${match.path}"` : null
+        }).filter(Boolean)
+        return `the async component ${pending.join(', ')}`
+      }
+      if (hook && hook === loaderHook) {
+        return 'the route loaders'
+      }
+      if (leaveGuards.indexOf(hook) > -1) return 'a beforeRouteLeave guard'
+      if (updateHooks.indexOf(hook) > -1) return 'a beforeRouteUpdate guard'
+      if (enterGuards.indexOf(hook) > -1) return 'a beforeRouteEnter guard'
+      const record = activated.filter(m => hook && m.beforeEnter === hook)[0]
+      if (record) return `the beforeEnter guard of "${record.path}"`
+      const name = hook && hook.name ? ` "${hook.name}"` : ''
+      return this.router.resolveHooks.indexOf(hook) > -1
+        ? `the beforeResolve guard${name}`
+        : `the beforeEach guard${name}`
+    }
+
     const iterator = (hook: NavigationGuard, next) => {
       if (this.pending !== route) {
         return abort(createNavigationCancelledError(current, route))
       }
-      try {
-        // 执行钩子
-        hook(route, current, (to: any) => {
-          if (to === false) {
-            // next(false) -> abort navigation, ensure current URL
-            this.ensureURL(true)
-            abort(createNavigationAbortedError(current, route))
-          } else if (isError(to)) {
-            this.ensureURL(true)
-            abort(to)
-          } else if (
-            typeof to === 'string' ||
-            (typeof to === 'object' &&
-              (typeof to.path === 'string' || typeof to.name === 'string'))
-          ) { // 重定向
-            // next('/') or next({ path: '/' }) -> redirect
-            abort(createNavigationRedirectedError(current, route))
-            if (typeof to === 'object' && to.replace) {
-              this.replace(to)
-            } else {
-              this.push(to)
-            }
+      runningHook = hook
+      if (hook === asyncHook && hasAsyncComponents(activated)) {
+        this.updateLoading({ route, error: null, startedAt: Date.now() })
+      }
+      let called = false // 钩子是否已调用next
+      const resolveGuard = (to: any) => {
+        called = true
+        clearTimeout(hangTimer)
+        if (this.pending !== route) {
+          // the navigation was cancelled while the guard was running
+          return abort(createNavigationCancelledError(current, route))
+        }
+        if (to === false) {
+          // next(false) -> abort navigation, ensure current URL
+          this.ensureURL(true)
+          abort(createNavigationAbortedError(current, route))
+        } else if (isError(to)) {
+          this.ensureURL(true)
+          abort(to)
+        } else if (isRouteLocation(to)) { // 重定向
+          // next('/') or next({ path: '/' }) -> redirect
+          abort(createNavigationRedirectedError(current, route))
+          if (typeof to === 'object' && to.replace) {
+            this.replace(to)
           } else {
-            // confirm transition and pass on the value
-            next(to)
+            this.push(to)
           }
-        })
+        } else {
+          // confirm transition and pass on the value
+          next(to)
+        }
+      }
+      try {
+        // 执行钩子，钩子可以调用next，也可以返回false、位置、Error或其Promise
+        const res = hook(route, current, resolveGuard, navigationSignal)
+        if (res && typeof res.then === 'function') {
+          res.then(value => {
+            if (called) return
+            if (process.env.NODE_ENV !== 'production' && value === undefined && hook.length === 3) {
+              warn(
+                false,
+                `A navigation guard from "${current.fullPath}" to "${route.fullPath}" ` +
+                  `neither called next() nor returned a value. Remove the "next" ` +
+                  `argument of the guard if it is not used.`
+              )
+            }
+            resolveGuard(value)
+          }, err => {
+            if (called) return
+            called = true
+            abort(err)
+          })
+        } else if (
+          !called &&
+          (hook.length < 3 || res === false || isError(res) || isRouteLocation(res))
+        ) {
+          // guards without the next argument can only resolve with their return value,
+          // other guards may still call next() later
+          resolveGuard(res)
+        } else if (
+          process.env.NODE_ENV !== 'production' &&
+          !called &&
+          hook !== asyncHook &&
+          hook !== lazyHook &&
+          hook !== loaderHook
+        ) {
+          // 钩子返回后长时间未调用next，导航会一直挂起
+          hangTimer = setTimeout(() => {
+            if (!called && this.pending === route) {
+              warn(
+                false,
+                `The navigation from "${current.fullPath}" to "${route.fullPath}" is still waiting for ` +
+                  `${describeHook(hook)} to call next(), ${GUARD_HANG_WARNING_DELAY}ms after it returned.`
+              )
+            }
+          }, GUARD_HANG_WARNING_DELAY)
+        }
       } catch (e) {
         abort(e)
       }
     }
 
+    // 导航超时后中止导航，单个路由的设置优先于router的设置
+    const timeout = getNavigationTimeout(route, this.router.options.navigationTimeout)
+    if (timeout > 0) {
+      // the time spent loading the lazy child routes counts as well
+      timer = setTimeout(() => {
+        if (this.pending !== route) return
+        this.pending = null
+        controller && controller.abort()
+        this.ensureURL(true)
+        abort(createNavigationTimedOutError(current, route, timeout, describeHook(runningHook)))
+      }, Math.max(timeout - (Date.now() - navigationStart), 0))
+    }
+
+    if (lazyHook) {
+      runQueue([lazyHook], iterator, () => {
+        if (this.pending !== route) {
+          return abort(createNavigationCancelledError(current, route))
+        }
+        let rematched
+        try {
+          rematched = this.router.match(route.redirectedFrom || route.fullPath, current)
+        } catch (e) {
+          return abort(e)
+        }
+        cleanup()
+        this.confirmTransition(rematched, onComplete, onAbort, signal, navigationStart)
+      })
+      return
+    }
+
     runQueue(queue, iterator, () => {
       // wait until async components are resolved before
       // extracting in-component enter guards
-      const enterGuards = extractEnterGuards(activated) // 新路由剩余路由涉及的组件的beforeRouteEnter钩子函数
+      enterGuards = extractEnterGuards(activated) // 新路由剩余路由涉及的组件的beforeRouteEnter钩子函数
       const queue = enterGuards.concat(this.router.resolveHooks) // 同beforeResolve钩子执行队列做合并
       // 执行钩子函数队列
       runQueue(queue, iterator, () => {
@@ -236,22 +489,79 @@ export class History {
           return abort(createNavigationCancelledError(current, route))
         }
         this.pending = null
-        onComplete(route) // 跳转完成
+        settled = true
+        cleanup()
+        if (this.loading) {
+          this.updateLoading(null)
+        }
+        if (this.router.options.reloadOnChunkError) {
+          clearReloadedPage()
+        }
+        // routes are frozen, the loaded data comes with a copy of the confirmed route
+        const confirmed = loaderData
+          ? Object.freeze(extend(extend({}, route), { loaderData }))
+          : route
+        onComplete(confirmed) // 跳转完成
         if (this.router.app) {
           this.router.app.$nextTick(() => {
-            handleRouteEntered(route)
+            handleRouteEntered(confirmed)
           })
         }
       })
     })
   }
 
+  // 目标地址的历史记录状态：对象地址中的background和state，
+  // 或者通过popstate、刷新页面回到的地址在历史记录中保存的状态
+  resolveEntry (location: RawLocation): Object {
+    if (location && typeof location === 'object') {
+      return location
+    }
+    if (location === this.getCurrentLocation()) {
+      return this.getCurrentState() || {}
+    }
+    return {}
+  }
+
+  // 解析模态路由的背景路由：router.push({ path, background: true })以当前路由为背景
+  resolveBackground (location: RawLocation): ?Route {
+    const { background } = this.resolveEntry(location)
+    if (!background) {
+      return null
+    }
+    if (background === true) {
+      // opening a modal from another modal keeps the original background
+      return this.background || (this.current === START ? null : this.current)
+    }
+    return this.router.match(background, this.current)
+  }
+
+  // 保存在历史记录中的状态
+  getEntryState (): Object {
+    return {
+      background: this.background ? this.background.fullPath : undefined,
+      state: this.state || undefined
+    }
+  }
+
+  // 替换当前历史记录中的用户状态，不触发跳转
+  setState (state: ?Object) {
+    this.state = state
+    this.saveEntryState()
+  }
+
   // 更新当前路由
   updateRoute (route: Route) {
     this.current = route
     this.cb && this.cb(route)
   }
 
+  // 更新异步组件的加载状态
+  updateLoading (loading: ?RouteLoading) {
+    this.loading = loading ? Object.freeze(loading) : null
+    this.loadingCb && this.loadingCb(this.loading)
+  }
+
   setupListeners () {
     // Default implementation is empty
   }
@@ -269,6 +579,10 @@ export class History {
     // https://github.com/vuejs/vue-router/issues/3294
     this.current = START
     this.pending = null
+    if (this.pendingController) {
+      this.pendingController.abort()
+      this.pendingController = null
+    }
   }
 }
 
@@ -314,13 +628,36 @@ function resolveQueue (
   }
 }
 
+// 分别比较主路由及各辅助出口的匹配列表，合并结果
+function resolveRouteQueue (
+  current: Route,
+  route: Route
+): {
+  updated: Array<RouteRecord>,
+  activated: Array<RouteRecord>,
+  deactivated: Array<RouteRecord>
+} {
+  const queue = resolveQueue(current.matched, route.matched)
+  const outlets = extend(extend({}, current.outlets), route.outlets)
+  for (const name in outlets) {
+    const outletQueue = resolveQueue(
+      current.outlets && current.outlets[name] ? current.outlets[name].matched : [],
+      route.outlets && route.outlets[name] ? route.outlets[name].matched : []
+    )
+    queue.updated = queue.updated.concat(outletQueue.updated)
+    queue.activated = queue.activated.concat(outletQueue.activated)
+    queue.deactivated = queue.deactivated.concat(outletQueue.deactivated)
+  }
+  return queue
+}
+
 /**
  * 获取路由记录的所有组件的所有name的钩子函数
  * @param {Array<RouteRecord>} records 路由记录
  * @param {string} name 钩子名称
  * @param {Function} bind 绑定函数
  * @param {boolean} reverse 是否反转
- * @returns 
+ * @returns
  */
 function extractGuards (
   records: Array<RouteRecord>, // 路由记录
@@ -349,13 +686,13 @@ function extractGuard (
     // extend now so that global mixins are applied.
     def = _Vue.extend(def)
   }
-  return def.options[key] 
+  return def.options[key]
 }
 
 /**
  * 获取deactivated路由记录中所有组件的所有beforeRouteLeave钩子的执行函数
  * @param {Array<RouteRecord} deactivated 老路由匹配列表中需要调用beforeRouteLeave钩子的路由记录
- * @returns 
+ * @returns
  */
 function extractLeaveGuards (deactivated: Array<RouteRecord>): Array<?Function> {
   return extractGuards(deactivated, 'beforeRouteLeave', bindGuard, true)
@@ -370,20 +707,19 @@ function extractUpdateHooks (updated: Array<RouteRecord>): Array<?Function> {
  * 返回一个可以执行guard的函数，并将guard的this，绑定到instance
  * @param {NavigationGuard} guard 待执行函数
  * @param {_Vue} instance Vue实例
- * @returns 
+ * @returns
  */
 function bindGuard (guard: NavigationGuard, instance: ?_Vue): ?NavigationGuard {
   if (instance) {
-    return function boundRouteGuard () {
-      return guard.apply(instance, arguments)
-    }
+    // bind保留了guard的参数个数，用于判断guard是否使用next
+    return guard.bind(instance)
   }
 }
 
 /**
  * 获取activated路由记录中所有组件的所有beforeRouteEnter钩子的执行函数
  * @param {Array<RouteRecord>} activated 新路由的匹配列表剩余路由
- * @returns 
+ * @returns
  */
 function extractEnterGuards (
   activated: Array<RouteRecord>
@@ -400,16 +736,20 @@ function extractEnterGuards (
 /**
  * 返回guard的执行器，收集由guard第三个参数返回的回调函数
  * @param {NavigationGuard} guard 待执行函数
- * @param {RouteRecord} match 路由记录 
- * @param {string} key 
- * @returns 
+ * @param {RouteRecord} match 路由记录
+ * @param {string} key
+ * @returns
  */
 function bindEnterGuard (
   guard: NavigationGuard,
   match: RouteRecord,
   key: string
 ): NavigationGuard {
-  return function routeEnterGuard (to, from, next) {
+  // 未使用next的guard只能通过返回值结束，无法注册回调
+  if (guard.length < 3) {
+    return guard
+  }
+  const enterGuard = (to, from, next, signal) => {
     // 执行钩子函数，将回调函数插入到进入路由之后的回调队列
     return guard(to, from, cb => {
       if (typeof cb === 'function') {
@@ -419,6 +759,77 @@ function bindEnterGuard (
         match.enteredCbs[key].push(cb)
       }
       next(cb)
-    })
+    }, signal)
+  }
+  // 保留guard的参数个数，只声明了next的guard未调用next时会给出警告
+  return guard.length > 3
+    ? function routeEnterGuard (to, from, next, signal) {
+      return enterGuard(to, from, next, signal)
+    }
+    : function routeEnterGuard (to, from, next) {
+      return enterGuard(to, from, next, arguments[3])
+    }
+}
+
+// 判断异步组件加载失败时是否需要重新加载页面
+function shouldReloadOnChunkError (
+  option: ?(boolean | (error: Error, to: Route) => boolean),
+  err: Error,
+  route: Route
+): boolean {
+  return typeof option === 'function'
+    ? option(err, route)
+    : !!option && isChunkLoadError(err)
+}
+
+// 判断是否为尚未加载的异步组件
+function isAsyncComponent (def: any): boolean {
+  return typeof def === 'function' && def.cid === undefined
+}
+
+// 判断路由记录中是否有尚未加载的异步组件
+function hasAsyncComponents (records: Array<RouteRecord>): boolean {
+  return flatMapComponents(records, isAsyncComponent).some(Boolean)
+}
+
+// 判断路由记录的loader是否需要执行：新激活、上一次没有结果、自身路径的params变化，或者最深的路由记录的query变化
+function shouldRunLoader (record: RouteRecord, route: Route, current: Route): boolean {
+  const index = route.matched.indexOf(record)
+  if (current.matched[index] !== record || !current.loaderData) {
+    return true
+  }
+  if (isRecordParamsChanged(record, route, current)) {
+    return true
+  }
+  return index === route.matched.length - 1 && !isObjectEqual(route.query, current.query)
+}
+
+// 判断路由记录的path中的params在两个路由间是否有变化
+function isRecordParamsChanged (record: RouteRecord, route: Route, current: Route): boolean {
+  return record.regex.keys.some(key => {
+    return String(route.params[key.name]) !== String(current.params[key.name])
+  })
+}
+
+// 获取导航的超时时间，取最深的设置了navigationTimeout的路由记录的值
+function getNavigationTimeout (route: Route, defaultTimeout: ?number): number {
+  for (let i = route.matched.length - 1; i >= 0; i--) {
+    const timeout = route.matched[i].navigationTimeout
+    if (timeout != null) return timeout
   }
+  return defaultTimeout || 0
+}
+
+// 创建AbortController，不支持时返回null
+function createAbortController (): ?AbortController {
+  return typeof AbortController !== 'undefined' ? new AbortController() : null
+}
+
+// 判断是否为可用于重定向的位置
+function isRouteLocation (to: any): boolean {
+  return (
+    typeof to === 'string' ||
+    (!!to && typeof to === 'object' &&
+      (typeof to.path === 'string' || typeof to.name === 'string'))
+  )
 }
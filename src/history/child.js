@@ -0,0 +1,177 @@
+/* @flow */
+
+import type Router from '../index'
+import { History } from './base'
+import { START } from '../util/route'
+import { extend } from '../util/misc'
+import { warn } from '../util/warn'
+import { isNavigationFailure, NavigationFailureType } from '../util/errors'
+
+/**
+ * 挂载在父路由器的一个路径前缀或查询参数下的子路由器的history，
+ * 只读写地址中属于自己的部分，由父路由器写入浏览器地址并处理前进后退
+ */
+export class ChildHistory extends History {
+  parent: Router // 父路由器
+  prefix: ?string // 子路由器所在的路径前缀
+  key: ?string // 保存子路由器路径的查询参数名
+  confirmed: ?{ to: Route, route: Route } // 父路由器的导航中已确认、等待父路由器完成导航的子路由
+  redirect: ?{ to: Route, next: Function } // 子路由器的守卫重定向时，父路由器等待的守卫
+
+  constructor (router: Router, parent: Router) {
+    super(router, '/')
+    this.parent = parent
+    const { prefix, queryKey } = router.options
+    this.prefix = prefix ? normalizePrefix(prefix) : null
+    this.key = this.prefix ? null : queryKey || 'path'
+    this.confirmed = null
+    this.redirect = null
+    if (process.env.NODE_ENV !== 'production' && prefix && queryKey) {
+      warn(false, `a child router uses either a prefix or a queryKey, queryKey "${queryKey}" is ignored.`)
+    }
+  }
+
+  // 父路由器的每次导航都先确认子路由器的导航，子路由器的守卫可以中止或重定向父路由器的导航
+  setupListeners () {
+    if (this.listeners.length > 0) {
+      return
+    }
+
+    const guard = (to: Route, from: Route, next: Function) => {
+      const location = this.toChildLocation(to)
+      if (!location || (this.current !== START && location === this.current.fullPath)) {
+        return next()
+      }
+      let route
+      try {
+        route = this.router.match(location, this.current)
+      } catch (e) {
+        return next(e)
+      }
+      this.confirmTransition(route, route => {
+        this.confirmed = { to, route }
+        next()
+      }, err => {
+        if (isNavigationFailure(err, NavigationFailureType.redirected)) {
+          // push() or replace() is called right after with the location of the redirect
+          this.redirect = { to, next }
+        } else {
+          next(isNavigationFailure(err, NavigationFailureType.duplicated) ? undefined : false)
+        }
+      })
+    }
+    const commit = (to: Route, from: Route, failure: ?Error) => {
+      if (failure) {
+        if (this.confirmed && this.confirmed.to === to) {
+          this.confirmed = null
+        }
+      } else {
+        this.commit(to)
+      }
+    }
+    this.listeners.push(this.parent.beforeResolve(guard), this.parent.afterEach(commit))
+  }
+
+  // 父路由器完成导航后更新子路由
+  commit (to: Route) {
+    const confirmed = this.confirmed
+    if (!confirmed || confirmed.to !== to) {
+      return
+    }
+    this.confirmed = null
+    const prev = this.current
+    this.updateRoute(confirmed.route)
+    this.router.afterHooks.forEach(hook => {
+      hook && hook(confirmed.route, prev)
+    })
+    if (!this.ready) {
+      this.ready = true
+      this.readyCbs.forEach(cb => {
+        cb(confirmed.route)
+      })
+    }
+  }
+
+  // 前进后退由父路由器处理
+  go (n: number) {
+    this.parent.go(n)
+  }
+
+  push (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+    this.navigate(location, false, onComplete, onAbort)
+  }
+
+  replace (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+    this.navigate(location, true, onComplete, onAbort)
+  }
+
+  // 子路由器的导航转为父路由器的导航，子路由器的守卫在父路由器的导航中执行
+  navigate (location: RawLocation, replace: boolean, onComplete?: Function, onAbort?: Function) {
+    const redirect = this.redirect
+    this.redirect = null
+    const { fullPath } = this.router.match(location, this.current, undefined, true)
+    const parentLocation = this.toParentLocation(fullPath, redirect ? redirect.to : this.parent.history.current)
+    if (redirect) {
+      redirect.next(replace ? extend({ replace: true }, parentLocation) : parentLocation)
+      return
+    }
+    const history = this.parent.history
+    const method = replace ? history.replace : history.push
+    method.call(history, parentLocation, route => {
+      // the child route is updated by the after hook, unless the callback runs first
+      this.commit(route)
+      onComplete && onComplete(this.current)
+    }, onAbort)
+  }
+
+  // 浏览器地址由父路由器更新
+  ensureURL () {}
+
+  getCurrentLocation (): string {
+    return this.toChildLocation(this.parent.history.current) || '/'
+  }
+
+  getCurrentState (): ?Object {
+    return null
+  }
+
+  saveEntryState () {}
+
+  getUrl (fullPath: string): string {
+    return this.parent.resolve(this.toParentLocation(fullPath, this.parent.history.current)).href
+  }
+
+  // 父路由中属于子路由器的地址，父路由不在前缀下时为null
+  toChildLocation (route: Route): ?string {
+    const { prefix, key } = this
+    if (prefix) {
+      const rest = route.fullPath.slice(prefix.length)
+      if (route.fullPath.indexOf(prefix) !== 0 || (rest && !/^[/?#]/.test(rest))) {
+        return null
+      }
+      return rest.charAt(0) === '/' ? rest : '/' + rest
+    }
+    const value = key ? route.query[key] : null
+    if (typeof value !== 'string' || !value) {
+      return '/'
+    }
+    return value.charAt(0) === '/' ? value : '/' + value
+  }
+
+  // 将子路由器的完整路径写入父路由的地址
+  toParentLocation (fullPath: string, route: Route): Location {
+    const { prefix, key } = this
+    if (prefix) {
+      return { path: prefix + fullPath.replace(/^\/(?=[?#]|$)/, '') }
+    }
+    return {
+      path: route.path,
+      query: extend(extend({}, route.query), { [(key: any)]: fullPath }),
+      hash: route.hash
+    }
+  }
+}
+
+function normalizePrefix (prefix: string): string {
+  return ('/' + prefix).replace(/\/+/g, '/').replace(/\/$/, '')
+}
@@ -5,16 +5,24 @@ import { History } from './base'
 import { cleanPath } from '../util/path'
 import { getLocation } from './html5'
 import { setupScroll, handleScroll } from '../util/scroll'
-import { pushState, replaceState, supportsPushState } from '../util/push-state'
+import {
+  pushState,
+  replaceState,
+  supportsPushState,
+  getState
+} from '../util/push-state'
 
 export class HashHistory extends History {
+  prefix: string // hash中路径前的前缀，如#!/中的!
+
   constructor (router: Router, base: ?string, fallback: boolean) {
     super(router, base)
+    this.prefix = normalizeHashPrefix(router.options.hashPrefix)
     // check history fallback deeplinking
-    if (fallback && checkFallback(this.base)) {
+    if (fallback && checkFallback(this.base, this.prefix)) {
       return
     }
-    ensureSlash()
+    ensureSlash(this.prefix)
   }
 
   // this is delayed until the app mounts
@@ -34,17 +42,17 @@ export class HashHistory extends History {
 
     const handleRoutingEvent = () => {
       const current = this.current
-      if (!ensureSlash()) {
+      if (!ensureSlash(this.prefix)) {
         return
       }
-      this.transitionTo(getHash(), route => {
+      this.transitionTo(getHash(this.prefix), route => {
         if (supportsScroll) {
           handleScroll(this.router, route, current, true)
         }
         if (!supportsPushState) {
-          replaceHash(route.fullPath)
+          replaceHash(route.fullPath, null, this.prefix)
         }
-      })
+      }, undefined, true)
     }
     const eventType = supportsPushState ? 'popstate' : 'hashchange'
     window.addEventListener(
@@ -61,7 +69,7 @@ export class HashHistory extends History {
     this.transitionTo(
       location,
       route => {
-        pushHash(route.fullPath)
+        pushHash(route.fullPath, this.getEntryState(), this.prefix)
         handleScroll(this.router, route, fromRoute, false)
         onComplete && onComplete(route)
       },
@@ -74,7 +82,7 @@ export class HashHistory extends History {
     this.transitionTo(
       location,
       route => {
-        replaceHash(route.fullPath)
+        replaceHash(route.fullPath, this.getEntryState(), this.prefix)
         handleScroll(this.router, route, fromRoute, false)
         onComplete && onComplete(route)
       },
@@ -88,34 +96,67 @@ export class HashHistory extends History {
 
   ensureURL (push?: boolean) {
     const current = this.current.fullPath
-    if (getHash() !== current) {
-      push ? pushHash(current) : replaceHash(current)
+    if (getHash(this.prefix) !== current) {
+      const state = this.getEntryState()
+      push ? pushHash(current, state, this.prefix) : replaceHash(current, state, this.prefix)
     }
   }
 
   getCurrentLocation () {
-    return getHash()
+    return getHash(this.prefix)
+  }
+
+  getCurrentState (): ?Object {
+    return getState()
+  }
+
+  saveEntryState () {
+    // the state cannot be saved without pushState
+    if (supportsPushState) {
+      replaceHash(this.current.fullPath, this.getEntryState(), this.prefix)
+    }
   }
 }
 
-function checkFallback (base) {
+function checkFallback (base, prefix) {
   const location = getLocation(base)
   if (!/^\/#/.test(location)) {
-    window.location.replace(cleanPath(base + '/#' + location))
+    window.location.replace(cleanPath(base + '/#' + prefix + location))
     return true
   }
 }
 
-function ensureSlash (): boolean {
-  const path = getHash()
-  if (path.charAt(0) === '/') {
+// 确保hash以前缀和/开头，其他格式的hash被替换为当前格式
+function ensureSlash (prefix: string): boolean {
+  const hash = getHash()
+  if (hash.indexOf(prefix + '/') === 0) {
     return true
   }
-  replaceHash('/' + path)
+  replaceHash(hashToPath(hash, prefix), null, prefix)
   return false
 }
 
-export function getHash (): string {
+/**
+ * 将其他格式的hash转换为路由路径，如#/foo、#!/foo以及缺少/的#foo
+ */
+export function hashToPath (hash: string, prefix: string): string {
+  if (prefix && hash.indexOf(prefix) === 0) {
+    hash = hash.slice(prefix.length)
+  } else if (/^!\//.test(hash)) {
+    // hashbang links, e.g. from AngularJS
+    hash = hash.slice(1)
+  }
+  return hash.charAt(0) === '/' ? hash : '/' + hash
+}
+
+/**
+ * 将hashPrefix选项规范为#与路径之间的部分，'#!/'与'!'都表示#!/foo
+ */
+export function normalizeHashPrefix (prefix: ?string): string {
+  return (prefix || '').replace(/^#/, '').replace(/\/$/, '')
+}
+
+export function getHash (prefix?: string): string {
   // We can't use window.location.hash here because it's not
   // consistent across browsers - Firefox will pre-decode it!
   let href = window.location.href
@@ -124,29 +165,33 @@ export function getHash (): string {
   if (index < 0) return ''
 
   href = href.slice(index + 1)
+  // remove the prefix, e.g. the ! of #!/foo
+  if (prefix && href.indexOf(prefix) === 0) {
+    href = href.slice(prefix.length)
+  }
 
   return href
 }
 
-function getUrl (path) {
+function getUrl (path, prefix) {
   const href = window.location.href
   const i = href.indexOf('#')
   const base = i >= 0 ? href.slice(0, i) : href
-  return `${base}#${path}`
+  return `${base}#${prefix}${path}`
 }
 
-function pushHash (path) {
+function pushHash (path, state, prefix) {
   if (supportsPushState) {
-    pushState(getUrl(path))
+    pushState(getUrl(path, prefix), false, state)
   } else {
-    window.location.hash = path
+    window.location.hash = prefix + path
   }
 }
 
-function replaceHash (path) {
+function replaceHash (path, state, prefix) {
   if (supportsPushState) {
-    replaceState(getUrl(path))
+    replaceState(getUrl(path, prefix), state)
   } else {
-    window.location.replace(getUrl(path))
+    window.location.replace(getUrl(path, prefix))
   }
 }
@@ -5,7 +5,12 @@ import { History } from './base'
 import { cleanPath } from '../util/path'
 import { START } from '../util/route'
 import { setupScroll, handleScroll } from '../util/scroll'
-import { pushState, replaceState, supportsPushState } from '../util/push-state'
+import {
+  pushState,
+  replaceState,
+  supportsPushState,
+  getState
+} from '../util/push-state'
 
 export class HTML5History extends History {
   _startLocation: string // 当前地址
@@ -44,7 +49,7 @@ export class HTML5History extends History {
         if (supportsScroll) {
           handleScroll(router, route, current, true)
         }
-      })
+      }, undefined, true)
     }
     window.addEventListener('popstate', handleRoutingEvent)
     this.listeners.push(() => {
@@ -61,7 +66,7 @@ export class HTML5History extends History {
   push (location: RawLocation, onComplete?: Function, onAbort?: Function) {
     const { current: fromRoute } = this
     this.transitionTo(location, route => {
-      pushState(cleanPath(this.base + route.fullPath))
+      pushState(cleanPath(this.base + route.fullPath), false, this.getEntryState())
       handleScroll(this.router, route, fromRoute, false)
       onComplete && onComplete(route)
     }, onAbort)
@@ -71,7 +76,7 @@ export class HTML5History extends History {
   replace (location: RawLocation, onComplete?: Function, onAbort?: Function) {
     const { current: fromRoute } = this
     this.transitionTo(location, route => {
-      replaceState(cleanPath(this.base + route.fullPath))
+      replaceState(cleanPath(this.base + route.fullPath), this.getEntryState())
       handleScroll(this.router, route, fromRoute, false)
       onComplete && onComplete(route)
     }, onAbort)
@@ -81,7 +86,8 @@ export class HTML5History extends History {
   ensureURL (push?: boolean) {
     if (getLocation(this.base) !== this.current.fullPath) {
       const current = cleanPath(this.base + this.current.fullPath)
-      push ? pushState(current) : replaceState(current)
+      const state = this.getEntryState()
+      push ? pushState(current, false, state) : replaceState(current, state)
     }
   }
 
@@ -89,6 +95,16 @@ export class HTML5History extends History {
   getCurrentLocation (): string {
     return getLocation(this.base)
   }
+
+  // 获取当前历史记录中保存的状态
+  getCurrentState (): ?Object {
+    return getState()
+  }
+
+  // 将状态写入当前历史记录
+  saveEntryState () {
+    replaceState(cleanPath(this.base + this.current.fullPath), this.getEntryState())
+  }
 }
 
 export function getLocation (base: string): string {
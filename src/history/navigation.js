@@ -0,0 +1,168 @@
+/* @flow */
+
+import type Router from '../index'
+import { HTML5History, getLocation } from './html5'
+import { cleanPath } from '../util/path'
+import { inBrowser } from '../util/dom'
+import { setStateKey } from '../util/state-key'
+import { saveScrollPosition, handleScroll } from '../util/scroll'
+
+export const supportsNavigation =
+  inBrowser &&
+  !!window.navigation &&
+  typeof window.NavigateEvent === 'function' &&
+  'intercept' in window.NavigateEvent.prototype
+
+// 标记由路由器自己发起的导航
+const routerInfo = {}
+
+/**
+ * 基于Navigation API的history模式，地址格式与HTML5History相同
+ */
+export class NavigationHistory extends HTML5History {
+  constructor (router: Router, base: ?string) {
+    super(router, base)
+    // the keys of the entries replace the keys generated for pushState
+    setStateKey(window.navigation.currentEntry.key)
+  }
+
+  setupListeners () {
+    if (this.listeners.length > 0) {
+      return
+    }
+
+    const navigation = window.navigation
+    const expectScroll = !!this.router.options.scrollBehavior
+    if (expectScroll && 'scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual'
+    }
+
+    const handleNavigate = event => {
+      if (!this.shouldIntercept(event)) {
+        return
+      }
+      if (expectScroll) {
+        saveScrollPosition()
+      }
+      const current = this.current
+      event.intercept({
+        // without scrollBehavior the browser restores and resets the scroll position
+        scroll: expectScroll ? 'manual' : 'after-transition',
+        handler: () => new Promise(resolve => {
+          // the navigations of push and replace are already confirmed
+          if (event.info === routerInfo) {
+            this.afterRender(resolve)
+            return
+          }
+          this.transitionTo(getLocation(this.base), route => {
+            if (expectScroll) {
+              handleScroll(this.router, route, current, event.navigationType === 'traverse')
+            }
+            this.afterRender(resolve)
+          }, resolve, true)
+        })
+      })
+    }
+    const handleEntryChange = () => {
+      setStateKey(navigation.currentEntry.key)
+    }
+    navigation.addEventListener('navigate', handleNavigate)
+    navigation.addEventListener('currententrychange', handleEntryChange)
+    this.listeners.push(() => {
+      navigation.removeEventListener('navigate', handleNavigate)
+      navigation.removeEventListener('currententrychange', handleEntryChange)
+    })
+  }
+
+  // 只处理应用内的导航：路由器发起的导航、用户点击链接或提交表单、以及前进后退
+  // scripts setting window.location still load the page, e.g. to reload on missing chunks
+  shouldIntercept (event: any): boolean {
+    if (
+      !event.canIntercept ||
+      event.downloadRequest !== null ||
+      event.formData || // POST forms are submitted to the server
+      event.navigationType === 'reload' ||
+      event.hashChange || // the browser scrolls to the fragment itself
+      !(event.info === routerInfo || event.userInitiated || event.navigationType === 'traverse')
+    ) {
+      return false
+    }
+    const url = new URL(event.destination.url)
+    const path = url.pathname.toLowerCase()
+    const base = this.base.toLowerCase()
+    // /app must not match /application
+    return (
+      url.origin === window.location.origin &&
+      path.indexOf(base) === 0 &&
+      (path.length === base.length || path.charAt(base.length) === '/')
+    )
+  }
+
+  // 等待新路由渲染完成
+  afterRender (cb: Function) {
+    this.router.app ? this.router.app.$nextTick(cb) : cb()
+  }
+
+  go (n: number) {
+    const navigation = window.navigation
+    const target = navigation.entries()[navigation.currentEntry.index + n]
+    if (target) {
+      ignoreResult(navigation.traverseTo(target.key))
+    }
+  }
+
+  get canGoBack (): boolean {
+    return window.navigation.canGoBack
+  }
+
+  get canGoForward (): boolean {
+    return window.navigation.canGoForward
+  }
+
+  push (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+    const { current: fromRoute } = this
+    this.transitionTo(location, route => {
+      this.navigate(route.fullPath, 'push')
+      handleScroll(this.router, route, fromRoute, false)
+      onComplete && onComplete(route)
+    }, onAbort)
+  }
+
+  replace (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+    const { current: fromRoute } = this
+    this.transitionTo(location, route => {
+      this.navigate(route.fullPath, 'replace')
+      handleScroll(this.router, route, fromRoute, false)
+      onComplete && onComplete(route)
+    }, onAbort)
+  }
+
+  ensureURL (push?: boolean) {
+    if (getLocation(this.base) !== this.current.fullPath) {
+      this.navigate(this.current.fullPath, push ? 'push' : 'replace')
+    }
+  }
+
+  // 以Navigation API更新浏览器地址，并在历史记录中保存状态
+  navigate (fullPath: string, history: 'push' | 'replace') {
+    ignoreResult(window.navigation.navigate(cleanPath(this.base + fullPath), {
+      history,
+      state: this.getEntryState(),
+      info: routerInfo
+    }))
+  }
+
+  getCurrentState (): ?Object {
+    return window.navigation.currentEntry.getState()
+  }
+
+  saveEntryState () {
+    window.navigation.updateCurrentEntry({ state: this.getEntryState() })
+  }
+}
+
+// interrupted navigations reject their promises, the router reports its own failures
+function ignoreResult (result: { committed: Promise<any>, finished: Promise<any> }) {
+  result.committed.catch(() => {})
+  result.finished.catch(() => {})
+}
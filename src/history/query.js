@@ -0,0 +1,146 @@
+/* @flow */
+
+import type Router from '../index'
+import { History } from './base'
+import { START } from '../util/route'
+import { decode } from '../util/query'
+import { setupScroll, handleScroll } from '../util/scroll'
+import {
+  pushState,
+  replaceState,
+  supportsPushState,
+  getState
+} from '../util/push-state'
+
+// characters kept readable in the value of the query parameter, e.g. ?app=/orders/5
+const readableRE = /%(2F|3A|40|2C)/g
+
+/**
+ * 将路由的完整路径保存在一个查询参数中的history模式，用于不能修改路径和hash的嵌入式应用
+ */
+export class QueryHistory extends History {
+  key: string // 保存路由路径的查询参数名
+  _startLocation: string // 当前地址
+
+  constructor (router: Router, base: ?string) {
+    super(router, base)
+    this.key = router.options.queryKey || 'path'
+    this._startLocation = this.getCurrentLocation()
+  }
+
+  setupListeners () {
+    if (this.listeners.length > 0) {
+      return
+    }
+
+    const router = this.router
+    const expectScroll = router.options.scrollBehavior
+    const supportsScroll = supportsPushState && expectScroll
+
+    if (supportsScroll) {
+      this.listeners.push(setupScroll())
+    }
+
+    const handleRoutingEvent = () => {
+      const current = this.current
+      const location = this.getCurrentLocation()
+      // same as HTML5History, ignore the first popstate of some browsers
+      if (this.current === START && location === this._startLocation) {
+        return
+      }
+      this.transitionTo(location, route => {
+        if (supportsScroll) {
+          handleScroll(router, route, current, true)
+        }
+      }, undefined, true)
+    }
+    window.addEventListener('popstate', handleRoutingEvent)
+    this.listeners.push(() => {
+      window.removeEventListener('popstate', handleRoutingEvent)
+    })
+  }
+
+  go (n: number) {
+    window.history.go(n)
+  }
+
+  push (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+    const { current: fromRoute } = this
+    this.transitionTo(location, route => {
+      pushState(this.getUrl(route.fullPath), false, this.getEntryState())
+      handleScroll(this.router, route, fromRoute, false)
+      onComplete && onComplete(route)
+    }, onAbort)
+  }
+
+  replace (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+    const { current: fromRoute } = this
+    this.transitionTo(location, route => {
+      replaceState(this.getUrl(route.fullPath), this.getEntryState())
+      handleScroll(this.router, route, fromRoute, false)
+      onComplete && onComplete(route)
+    }, onAbort)
+  }
+
+  ensureURL (push?: boolean) {
+    if (this.getCurrentLocation() !== this.current.fullPath) {
+      const url = this.getUrl(this.current.fullPath)
+      const state = this.getEntryState()
+      push ? pushState(url, false, state) : replaceState(url, state)
+    }
+  }
+
+  getCurrentLocation (): string {
+    return getQueryPath(window.location.search, this.key)
+  }
+
+  getCurrentState (): ?Object {
+    return getState()
+  }
+
+  saveEntryState () {
+    replaceState(this.getUrl(this.current.fullPath), this.getEntryState())
+  }
+
+  // 页面路径和其他查询参数保持不变，只替换保存路由路径的参数
+  getUrl (fullPath: string): string {
+    const { pathname, search, hash } = window.location
+    return pathname + setQueryPath(search, this.key, fullPath) + hash
+  }
+}
+
+/**
+ * 从查询字符串中读取路由的完整路径
+ */
+export function getQueryPath (search: string, key: string): string {
+  const parts = search.replace(/^\?/, '').split('&')
+  for (let i = 0; i < parts.length; i++) {
+    const index = parts[i].indexOf('=')
+    if (index > -1 && decode(parts[i].slice(0, index)) === key) {
+      const path = decode(parts[i].slice(index + 1).replace(/\+/g, ' '))
+      return path.charAt(0) === '/' ? path : '/' + path
+    }
+  }
+  return '/'
+}
+
+/**
+ * 在查询字符串中写入路由的完整路径，保留其他参数及其顺序
+ */
+export function setQueryPath (search: string, key: string, fullPath: string): string {
+  const value = `${encodeURIComponent(key)}=${encodeURIComponent(fullPath).replace(readableRE, decodeURIComponent)}`
+  const parts = search.replace(/^\?/, '').split('&').filter(part => part)
+  let found = false
+  for (let i = 0; i < parts.length; i++) {
+    const index = parts[i].indexOf('=')
+    const name = decode(index > -1 ? parts[i].slice(0, index) : parts[i])
+    if (name === key) {
+      parts[i] = value
+      found = true
+    }
+  }
+  if (!found) {
+    parts.push(value)
+  }
+  return '?' + parts.join('&')
+}
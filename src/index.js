@@ -10,13 +10,17 @@ import { normalizeLocation } from './util/location'
 import { supportsPushState } from './util/push-state'
 import { handleScroll } from './util/scroll'
 
-import { HashHistory } from './history/hash'
+import { HashHistory, normalizeHashPrefix } from './history/hash'
 import { HTML5History } from './history/html5'
 import { AbstractHistory } from './history/abstract'
+import { NavigationHistory, supportsNavigation } from './history/navigation'
+import { QueryHistory } from './history/query'
+import { ChildHistory } from './history/child'
 
 import type { Matcher } from './create-matcher'
 
 import { isNavigationFailure, NavigationFailureType } from './util/errors'
+import { queryModel } from './util/query-model'
 
 export default class VueRouter {
   static install: () => void
@@ -24,6 +28,7 @@ export default class VueRouter {
   static isNavigationFailure: Function
   static NavigationFailureType: any
   static START_LOCATION: Route
+  static queryModel: Function
 
   app: any // 主Vue实例
   apps: Array<any> // 依赖当前Router实例的Vue实例列表
@@ -31,7 +36,7 @@ export default class VueRouter {
   readyCbs: Array<Function>
   options: RouterOptions
   mode: string // 路由模式
-  history: HashHistory | HTML5History | AbstractHistory // 路由历史
+  history: HashHistory | HTML5History | QueryHistory | ChildHistory | AbstractHistory // 路由历史
   matcher: Matcher // 匹配对象，包含match和addRoutes API
   fallback: boolean
   beforeHooks: Array<?NavigationGuard> // beforeEach钩子执行队列
@@ -45,9 +50,12 @@ export default class VueRouter {
     this.beforeHooks = []
     this.resolveHooks = []
     this.afterHooks = []
-    this.matcher = createMatcher(options.routes || [], this)
+    this.matcher = createMatcher(options.routes || [], this, options.outlets)
 
     let mode = options.mode || 'hash'
+    if (mode === 'navigation' && !supportsNavigation) {
+      mode = 'history'
+    }
     this.fallback =
       mode === 'history' && !supportsPushState && options.fallback !== false
     if (this.fallback) {
@@ -56,18 +64,31 @@ export default class VueRouter {
     if (!inBrowser) {
       mode = 'abstract'
     }
+    // 子路由器挂载在父路由器的地址下，不直接读写浏览器地址
+    if (options.parent) {
+      mode = 'child'
+    }
     this.mode = mode
 
     switch (mode) {
       case 'history':
         this.history = new HTML5History(this, options.base)
         break
+      case 'navigation':
+        this.history = new NavigationHistory(this, options.base)
+        break
       case 'hash':
         this.history = new HashHistory(this, options.base, this.fallback)
         break
+      case 'query':
+        this.history = new QueryHistory(this, options.base)
+        break
       case 'abstract':
         this.history = new AbstractHistory(this, options.base)
         break
+      case 'child':
+        this.history = new ChildHistory(this, (options.parent: any))
+        break
       default:
         if (process.env.NODE_ENV !== 'production') {
           assert(false, `invalid mode: ${mode}`)
@@ -76,8 +97,8 @@ export default class VueRouter {
   }
 
   // 匹配raw对应的路由
-  match (raw: RawLocation, current?: Route, redirectedFrom?: Location): Route {
-    return this.matcher.match(raw, current, redirectedFrom)
+  match (raw: RawLocation, current?: Route, redirectedFrom?: Location, sticky?: boolean): Route {
+    return this.matcher.match(raw, current, redirectedFrom, sticky)
   }
 
   // 获取当前路由
@@ -85,6 +106,16 @@ export default class VueRouter {
     return this.history && this.history.current
   }
 
+  // 当前路由作为模态路由打开时，默认RouterView继续渲染的背景路由
+  get backgroundRoute (): ?Route {
+    return this.history && this.history.background
+  }
+
+  // 当前历史记录中保存的用户状态，即跳转时传入的state
+  get historyState (): ?Object {
+    return this.history && this.history.state
+  }
+
   // Router实例初始化
   init (app: any /* Vue component instance */) {
     process.env.NODE_ENV !== 'production' &&
@@ -119,7 +150,11 @@ export default class VueRouter {
 
     const history = this.history
 
-    if (history instanceof HTML5History || history instanceof HashHistory) { // 客户端渲染
+    if (
+      history instanceof HTML5History ||
+      history instanceof HashHistory ||
+      history instanceof QueryHistory
+    ) { // 客户端渲染
       const handleInitialScroll = routeOrError => {
         const from = history.current
         const expectScroll = this.options.scrollBehavior
@@ -138,6 +173,13 @@ export default class VueRouter {
         setupListeners,
         setupListeners
       )
+    } else if (history instanceof AbstractHistory && history.current === START && history.index > -1) {
+      // 从存储中恢复了跳转路由栈，跳转到恢复的当前记录
+      history.transitionTo(history.getCurrentLocation())
+    } else if (history instanceof ChildHistory) {
+      // 子路由器挂载后参与父路由器的导航，并跳转到父路由器当前地址中属于自己的部分
+      history.setupListeners()
+      history.transitionTo(history.getCurrentLocation())
     }
 
     history.listen(route => { // 注册当前路由变更后的回调
@@ -145,6 +187,12 @@ export default class VueRouter {
         app._route = route
       })
     })
+
+    history.listenLoading(loading => { // 注册异步组件加载状态变更后的回调
+      this.apps.forEach(app => {
+        app._routeLoading = loading
+      })
+    })
   }
 
   // 注册beforeEach钩子
@@ -208,6 +256,11 @@ export default class VueRouter {
     this.go(1)
   }
 
+  // 替换当前历史记录中的用户状态，不触发跳转
+  replaceHistoryState (state: ?Object) {
+    this.history.setState(state)
+  }
+
   // 获取匹配的组件
   getMatchedComponents (to?: RawLocation | Route): Array<any> {
     const route: any = to
@@ -242,11 +295,13 @@ export default class VueRouter {
     resolved: Route
   } {
     current = current || this.history.current // 当前路由
-    const location = normalizeLocation(to, current, append, this) // 处理目标位置
-    const route = this.match(location, current) // 匹配路由
+    const location = normalizeLocation(to, current, append, this, true) // 处理目标位置
+    const route = this.match(location, current, undefined, true) // 匹配路由
     const fullPath = route.redirectedFrom || route.fullPath // 路由的完整路径
     const base = this.history.base
-    const href = createHref(base, fullPath, this.mode) // 创建url
+    const href = this.history instanceof QueryHistory || this.history instanceof ChildHistory
+      ? this.history.getUrl(fullPath) // 保留地址中不属于当前路由器的部分
+      : createHref(base, fullPath, this.mode, normalizeHashPrefix(this.options.hashPrefix)) // 创建url
     return {
       location,
       route,
@@ -261,22 +316,32 @@ export default class VueRouter {
     return this.matcher.getRoutes()
   }
 
-  addRoute (parentOrRoute: string | RouteConfig, route?: RouteConfig) {
-    this.matcher.addRoute(parentOrRoute, route)
-    if (this.history.current !== START) {
-      this.history.transitionTo(this.history.getCurrentLocation())
+  addRoute (parentOrRoute: string | RouteConfig, route?: RouteConfig): () => void {
+    const removeRoute = this.matcher.addRoute(parentOrRoute, route)
+    this.history.rematchCurrent()
+    return () => {
+      removeRoute()
+      this.history.rematchCurrent()
     }
   }
 
+  // 删除name对应的路由，以及其子路由和别名，并跳转到当前地址
+  removeRoute (name: string) {
+    this.matcher.removeRoute(name)
+    this.history.rematchCurrent()
+  }
+
+  hasRoute (name: string): boolean {
+    return this.matcher.hasRoute(name)
+  }
+
   // 添加路由，并跳转到当前地址
   addRoutes (routes: Array<RouteConfig>) {
     if (process.env.NODE_ENV !== 'production') {
       warn(false, 'router.addRoutes() is deprecated and has been removed in Vue Router 4. Use router.addRoute() instead.')
     }
     this.matcher.addRoutes(routes)
-    if (this.history.current !== START) {
-      this.history.transitionTo(this.history.getCurrentLocation())
-    }
+    this.history.rematchCurrent()
   }
 }
 
@@ -288,8 +353,8 @@ function registerHook (list: Array<any>, fn: Function): Function {
   }
 }
 
-function createHref (base: string, fullPath: string, mode) {
-  var path = mode === 'hash' ? '#' + fullPath : fullPath
+function createHref (base: string, fullPath: string, mode, hashPrefix: string) {
+  var path = mode === 'hash' ? '#' + hashPrefix + fullPath : fullPath
   return base ? cleanPath(base + '/' + path) : path
 }
 
@@ -298,6 +363,7 @@ VueRouter.version = '__VERSION__'
 VueRouter.isNavigationFailure = isNavigationFailure
 VueRouter.NavigationFailureType = NavigationFailureType
 VueRouter.START_LOCATION = START
+VueRouter.queryModel = queryModel
 
 if (inBrowser && window.Vue) {
   window.Vue.use(VueRouter)
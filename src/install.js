@@ -25,6 +25,7 @@ export function install (Vue) {
         this._router = this.$options.router // _router指向根实例上的router实例
         this._router.init(this) // 执行router实例的init方法
         Vue.util.defineReactive(this, '_route', this._router.history.current) // 给Vue根实例创建一个响应式的_route属性，值为当前路由对象
+        Vue.util.defineReactive(this, '_routeLoading', this._router.history.loading) // 跳转中的导航的异步组件加载状态，供RouterView渲染loadingComponent和errorComponent
       } else {
         this._routerRoot = (this.$parent && this.$parent._routerRoot) || this // 给非根Vue实例，添加_routerRoot属性，指向父实例的_routerRoot属性（一般为根实例），无$parent的，指向自身
       }
@@ -0,0 +1,57 @@
+/* @flow */
+
+import { inBrowser } from './dom'
+
+// the URL of the last reload, used to avoid reloading the same URL over and over
+const RELOAD_KEY = 'vue-router:chunk-reload'
+
+/**
+ * Detect the errors thrown when a chunk of the previous build cannot be found
+ * anymore, typically after a new version of the app has been deployed.
+ */
+export function isChunkLoadError (err: any): boolean {
+  return (
+    !!err &&
+    (err.name === 'ChunkLoadError' ||
+      /Loading (CSS )?chunk [^ ]+ failed/i.test(err.message) ||
+      /Failed to fetch dynamically imported module/i.test(err.message))
+  )
+}
+
+/**
+ * Load the page of `href` from the server. Returns false without reloading
+ * when `href` is the URL that was reloaded last, as the new build does not
+ * have the chunk either.
+ */
+export function reloadPage (href: string): boolean {
+  if (!inBrowser) return false
+  try {
+    if (window.sessionStorage.getItem(RELOAD_KEY) === href) return false
+    window.sessionStorage.setItem(RELOAD_KEY, href)
+  } catch (e) {
+    // without sessionStorage (e.g. Safari private mode) the reloads cannot be limited
+    return false
+  }
+  // resolve the absolute URL
+  const link = document.createElement('a')
+  link.href = href
+  const isSameDocument = stripHash(link.href) === stripHash(window.location.href)
+  window.location.assign(link.href)
+  // only the hash changed (hash mode), which does not load the page again
+  if (isSameDocument) {
+    window.location.reload()
+  }
+  return true
+}
+
+function stripHash (url: string): string {
+  return url.replace(/#.*$/, '')
+}
+
+// forget the last reload once a navigation succeeded
+export function clearReloadedPage () {
+  if (!inBrowser) return
+  try {
+    window.sessionStorage.removeItem(RELOAD_KEY)
+  } catch (e) {}
+}
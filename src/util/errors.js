@@ -3,7 +3,8 @@ export const NavigationFailureType = {
   redirected: 2,
   aborted: 4,
   cancelled: 8,
-  duplicated: 16
+  duplicated: 16,
+  timedOut: 32
 }
 
 export function createNavigationRedirectedError (from, to) {
@@ -40,6 +41,17 @@ export function createNavigationCancelledError (from, to) {
   )
 }
 
+export function createNavigationSignalCancelledError (from, to) {
+  return createRouterError(
+    from,
+    to,
+    NavigationFailureType.cancelled,
+    `Navigation cancelled from "${from.fullPath}" to "${
+      to.fullPath
+    }" with an AbortSignal.`
+  )
+}
+
 export function createNavigationAbortedError (from, to) {
   return createRouterError(
     from,
@@ -51,6 +63,17 @@ export function createNavigationAbortedError (from, to) {
   )
 }
 
+export function createNavigationTimedOutError (from, to, timeout, stuck) {
+  return createRouterError(
+    from,
+    to,
+    NavigationFailureType.timedOut,
+    `Navigation timed out after ${timeout}ms from "${from.fullPath}" to "${
+      to.fullPath
+    }" while waiting for ${stuck}.`
+  )
+}
+
 function createRouterError (from, to, type, message) {
   const error = new Error(message)
   error._isRouter = true
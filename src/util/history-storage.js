@@ -0,0 +1,58 @@
+/* @flow */
+
+import { inBrowser } from './dom'
+import { warn } from './warn'
+
+export const DEFAULT_STORAGE_KEY = 'vue-router:history'
+
+export type SavedHistory = {
+  index: number,
+  entries: Array<{ fullPath: string, state: Object }>
+}
+
+/**
+ * Resolve the `storage` option of the router to an adapter, `'session'` and
+ * `'local'` stand for the Web Storage of the browser.
+ */
+export function resolveHistoryStorage (storage: ?(string | HistoryStorage)): ?HistoryStorage {
+  if (!storage) {
+    return
+  }
+  if (typeof storage === 'object') {
+    return storage
+  }
+  if (inBrowser && (storage === 'session' || storage === 'local')) {
+    try {
+      return storage === 'session' ? window.sessionStorage : window.localStorage
+    } catch (e) {
+      // accessing the storage throws when it is disabled
+    }
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    warn(false, `storage "${storage}" is not available, the history will not be saved.`)
+  }
+}
+
+export function readHistory (storage: HistoryStorage, key: string): ?SavedHistory {
+  try {
+    const saved = JSON.parse(storage.getItem(key) || 'null')
+    if (saved && Array.isArray(saved.entries) && saved.entries.length) {
+      return saved
+    }
+  } catch (e) {
+    if (process.env.NODE_ENV !== 'production') {
+      warn(false, `could not restore the history from the storage: ${String(e)}`)
+    }
+  }
+}
+
+export function writeHistory (storage: HistoryStorage, key: string, history: SavedHistory) {
+  try {
+    storage.setItem(key, JSON.stringify(history))
+  } catch (e) {
+    // quota exceeded or state that cannot be serialized
+    if (process.env.NODE_ENV !== 'production') {
+      warn(false, `could not save the history to the storage: ${String(e)}`)
+    }
+  }
+}
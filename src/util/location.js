@@ -6,14 +6,19 @@ import { resolveQuery } from './query'
 import { fillParams } from './params'
 import { warn } from './warn'
 import { extend } from './misc'
+import { parseOutlets, resolveOutlets } from './outlets'
 
 export function normalizeLocation (
   raw: RawLocation, // 目标路径
   current: ?Route, // 当前路由
-  append: ?boolean, 
-  router: ?VueRouter
+  append: ?boolean,
+  router: ?VueRouter,
+  sticky?: boolean // 是否带上当前路由的保持参数，只用于push、replace和resolve的目标地址
 ): Location {
   let next: Location = typeof raw === 'string' ? { path: raw } : raw
+  const stickyKeys = sticky && router ? router.options.stickyQuery : null
+  // 只有声明了辅助出口的路由器才从路径中分离出口，否则/files/(draft:1)之类的路径保持原样
+  const hasOutlets = !!(router && router.options.outlets)
   // named target
   if (next._normalized) { // 已处理
     return next
@@ -23,6 +28,10 @@ export function normalizeLocation (
     if (params && typeof params === 'object') {
       next.params = extend({}, params)
     }
+    if (hasOutlets) {
+      next.outlets = resolveOutlets(current, null, next.outlets, true)
+    }
+    next.query = keepStickyQuery(next.query, current, stickyKeys)
     return next
   }
 
@@ -30,13 +39,17 @@ export function normalizeLocation (
   if (!next.path && next.params && current) {
     next = extend({}, next)
     next._normalized = true
+    if (hasOutlets) {
+      next.outlets = resolveOutlets(current, null, next.outlets, true)
+    }
+    next.query = keepStickyQuery(next.query, current, stickyKeys)
     const params: any = extend(extend({}, current.params), next.params) // 合并参数
     if (current.name) {
       next.name = current.name
       next.params = params
     } else if (current.matched.length) {
-      const rawPath = current.matched[current.matched.length - 1].path
-      next.path = fillParams(rawPath, params, `path ${current.path}`)
+      const record = current.matched[current.matched.length - 1]
+      next.path = fillParams(record.path, params, `path ${current.path}`, record.paramTypes)
     } else if (process.env.NODE_ENV !== 'production') {
       warn(false, `relative params navigation requires a current route.`)
     }
@@ -44,16 +57,24 @@ export function normalizeLocation (
   }
 
   const parsedPath = parsePath(next.path || '')
+  const parsedOutlets = hasOutlets
+    ? parseOutlets(parsedPath.path) // 分离路径末尾的辅助出口
+    : { path: parsedPath.path, outlets: {}}
   const basePath = (current && current.path) || '/'
   const path = parsedPath.path
-    ? resolvePath(parsedPath.path, basePath, append || next.append)
+    ? resolvePath(parsedOutlets.path, basePath, append || next.append)
     : basePath
+  // string locations describe the whole URL, object locations only change the given outlets
+  const outlets = hasOutlets
+    ? resolveOutlets(current, parsedOutlets.outlets, next.outlets, typeof raw !== 'string')
+    : next.outlets
 
-  const query = resolveQuery(
+  const query = keepStickyQuery(resolveQuery(
     parsedPath.query,
     next.query,
-    router && router.options.parseQuery
-  )
+    router && router.options.parseQuery,
+    router && router.options.queryFormat
+  ), current, stickyKeys)
 
   let hash = next.hash || parsedPath.hash
   if (hash && hash.charAt(0) !== '#') {
@@ -64,6 +85,31 @@ export function normalizeLocation (
     _normalized: true,
     path,
     query,
-    hash
+    hash,
+    outlets
+  }
+}
+
+/**
+ * 将当前路由的保持参数带到目标地址，目标地址中已有的参数不变，
+ * 包括值为undefined的参数，即{ query: { tenant: undefined } }可以移除保持参数
+ */
+export function keepStickyQuery<Q: ?Dictionary<string>> (
+  query: Q,
+  current: ?Route,
+  keys: ?Array<string>
+): Q {
+  if (!current || !keys || !keys.length) {
+    return query
+  }
+  const res: Dictionary<string> = extend({}, query)
+  let kept = false
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    if (current.query[key] !== undefined && !(key in res)) {
+      res[key] = current.query[key]
+      kept = true
+    }
   }
+  return kept ? (res: any) : query
 }
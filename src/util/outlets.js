@@ -0,0 +1,79 @@
+/* @flow */
+
+import { extend } from './misc'
+
+// 路径末尾的辅助出口片段，如 /inbox/5(inspector:details/3//chat:bob)
+const outletsRE = /\(([^()]*)\)$/
+
+/**
+ * 从路径中分离出各辅助出口的路径
+ */
+export function parseOutlets (path: string): {
+  path: string;
+  outlets: Dictionary<string>;
+} {
+  const outlets = {}
+  const m = path.match(outletsRE)
+  if (!m) {
+    return { path, outlets }
+  }
+  const parts = m[1].split('//')
+  for (let i = 0; i < parts.length; i++) {
+    const index = parts[i].indexOf(':')
+    // parentheses that are not outlets, e.g. /wiki/Vue_(framework), are part of the path
+    if (index < 1) {
+      return { path, outlets: {}}
+    }
+    outlets[parts[i].slice(0, index)] = normalizeOutletPath(parts[i].slice(index + 1))
+  }
+  return {
+    path: path.slice(0, path.length - m[0].length) || '/',
+    outlets
+  }
+}
+
+/**
+ * 将各辅助出口的路径或路由序列化为路径末尾的片段
+ */
+export function stringifyOutlets (outlets: ?Dictionary<?(string | Route)>): string {
+  const parts = []
+  for (const name in outlets) {
+    const outlet = outlets[name]
+    if (outlet) {
+      const path = typeof outlet === 'string' ? outlet : outlet.path
+      parts.push(`${name}:${path.replace(/^\//, '')}`)
+    }
+  }
+  return parts.length ? `(${parts.join('//')})` : ''
+}
+
+/**
+ * 合并目标地址的辅助出口，值为null的出口被关闭
+ * 字符串地址只包含其中的出口，对象地址保留当前路由的其他出口
+ */
+export function resolveOutlets (
+  current: ?Route,
+  parsed: ?Dictionary<string>,
+  outlets: ?Dictionary<?string>,
+  keepCurrent: boolean
+): Dictionary<string> {
+  const resolved = {}
+  if (keepCurrent && current && current.outlets) {
+    for (const name in current.outlets) {
+      resolved[name] = current.outlets[name].path
+    }
+  }
+  const next = extend(extend({}, parsed), outlets)
+  for (const name in next) {
+    if (next[name] == null) {
+      delete resolved[name]
+    } else {
+      resolved[name] = normalizeOutletPath(String(next[name]))
+    }
+  }
+  return resolved
+}
+
+function normalizeOutletPath (path: string): string {
+  return path.charAt(0) === '/' ? path : `/${path}`
+}
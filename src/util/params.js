@@ -1,6 +1,7 @@
 /* @flow */
 
 import { warn } from './warn'
+import { extend } from './misc'
 import Regexp from 'path-to-regexp'
 
 // $flow-disable-line
@@ -11,9 +12,13 @@ const regexpCompileCache: {
 export function fillParams (
   path: string,
   params: ?Object,
-  routeMsg: string
+  routeMsg: string,
+  types?: ?Dictionary<RouteParamType>
 ): string {
   params = params || {}
+  if (types) {
+    params = stringifyParams(types, params)
+  }
   try {
     const filler =
       regexpCompileCache[path] ||
@@ -35,3 +40,108 @@ export function fillParams (
     delete params[0]
   }
 }
+
+const numberRE = /^-?\d+(\.\d+)?$/
+const integerRE = /^-?\d+$/
+
+// built-in param types, `parse` returns undefined for invalid values
+const paramTypes: Dictionary<RouteParamType> = {
+  number: {
+    parse: value => numberRE.test(value) ? Number(value) : undefined,
+    stringify: String
+  },
+  integer: {
+    parse: value => integerRE.test(value) ? Number(value) : undefined,
+    stringify: String
+  },
+  boolean: {
+    parse: value => value === 'true' ? true : value === 'false' ? false : undefined,
+    stringify: String
+  }
+}
+
+/**
+ * 将路由配置的params转换为param名到{ parse, stringify }的映射关系
+ * @param {?Dictionary<any>} config 路由配置的params
+ * @param {?RouteRecord} parent 父路由记录，子路由会继承父路由的param类型
+ * @param {string} path 路由记录的path，用于警告信息
+ */
+export function normalizeParamTypes (
+  config: ?Dictionary<any>,
+  parent: ?RouteRecord,
+  path: string
+): Dictionary<RouteParamType> {
+  const res = extend({}, parent && parent.paramTypes)
+  for (const key in config) {
+    const type = resolveParamType(config[key])
+    if (type) {
+      res[key] = type
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(false, `invalid type for param "${key}" in route with path "${path}".`)
+    }
+  }
+  return res
+}
+
+// 将一个param类型的配置转换为{ parse, stringify }，配置不合法时返回undefined
+export function resolveParamType (type: any): ?RouteParamType {
+  if (typeof type === 'string') {
+    type = { type }
+  }
+  if (type && type.type === 'enum') {
+    const values = type.values || []
+    return {
+      parse: value => {
+        for (let i = 0; i < values.length; i++) {
+          if (String(values[i]) === value) return values[i]
+        }
+      },
+      stringify: String
+    }
+  } else if (type && typeof type.parse === 'function') {
+    return {
+      parse: type.parse,
+      stringify: type.stringify || String
+    }
+  } else if (type && paramTypes[type.type]) {
+    return paramTypes[type.type]
+  }
+}
+
+/**
+ * 按param类型解析params，解析后的值会替换原有的值，有param不合法时返回false
+ */
+export function parseParams (
+  types: Dictionary<RouteParamType>,
+  params: ?Object
+): boolean {
+  if (!params) return true
+  for (const key in types) {
+    const raw = params[key]
+    if (raw == null) continue
+    const type = types[key]
+    let value
+    try {
+      value = type.parse(typeof raw === 'string' ? raw : type.stringify(raw))
+    } catch (e) {}
+    if (value === undefined) {
+      return false
+    }
+    params[key] = value
+  }
+  return true
+}
+
+// 按param类型将params的值转换为字符串，返回新的params对象
+export function stringifyParams (
+  types: ?Dictionary<RouteParamType>,
+  params: Object
+): Object {
+  const res = extend({}, params)
+  for (const key in types) {
+    if (res[key] != null && typeof res[key] !== 'string') {
+      res[key] = types[key].stringify(res[key])
+    }
+  }
+  return res
+}
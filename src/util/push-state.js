@@ -22,7 +22,7 @@ export const supportsPushState =
     return window.history && typeof window.history.pushState === 'function'
   })()
 
-export function pushState (url?: string, replace?: boolean) {
+export function pushState (url?: string, replace?: boolean, state?: ?Object) {
   saveScrollPosition()
   // try...catch the pushState call to get around Safari
   // DOM Exception 18 where it limits to 100 pushState calls
@@ -31,16 +31,22 @@ export function pushState (url?: string, replace?: boolean) {
     if (replace) {
       // preserve existing history state as it could be overriden by the user
       const stateCopy = extend({}, history.state)
+      extend(stateCopy, state)
       stateCopy.key = getStateKey()
       history.replaceState(stateCopy, '', url)
     } else {
-      history.pushState({ key: setStateKey(genStateKey()) }, '', url)
+      history.pushState(extend({ key: setStateKey(genStateKey()) }, state), '', url)
     }
   } catch (e) {
     window.location[replace ? 'replace' : 'assign'](url)
   }
 }
 
-export function replaceState (url?: string) {
-  pushState(url, true)
+export function replaceState (url?: string, state?: ?Object) {
+  pushState(url, true, state)
+}
+
+// 当前历史记录中保存的状态
+export function getState (): ?Object {
+  return supportsPushState ? window.history.state : null
 }
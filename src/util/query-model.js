@@ -0,0 +1,81 @@
+/* @flow */
+
+import { _Vue } from '../install'
+import { extend } from './misc'
+import { normalizeQueryTypes, parseQueryTypes, stringifyQueryTypes } from './query-types'
+
+// 没有等待写入路由的值
+const NONE = Object.freeze({})
+
+/**
+ * 创建与route.query[key]双向绑定的计算属性，值按type转换，等于默认值时从地址中省略
+ * @param {string} key 查询参数名
+ * @param {Object} options 与路由配置的query相同的类型配置，以及push和debounce
+ */
+export function queryModel (key: string, options?: QueryModelOptions = {}) {
+  const types = normalizeQueryTypes({ [key]: options }, null, `queryModel("${key}")`) || {}
+
+  return {
+    get () {
+      const state = getState(this, key, types)
+      if (state.pending !== NONE) {
+        return state.pending
+      }
+      const route = this.$route
+      // read on every render, the invalid values are reported by the watcher of getState
+      return parseQueryTypes(types, route.query, route.path, true)[key]
+    },
+    set (value: any) {
+      const state = getState(this, key, types)
+      state.pending = value
+      clearTimeout(state.timer)
+      const navigate = () => {
+        state.timer = null
+        const router = this.$router
+        // the navigation of another query model in the same tick may not be confirmed yet
+        const route = router.history.pending || router.history.current
+        const query = extend({}, route.query)
+        // undefined also removes sticky query keys
+        query[key] = stringifyQueryTypes(types, { [key]: value })[key]
+        const done = () => {
+          if (state.pending === value) {
+            state.pending = NONE
+          }
+        }
+        const method = options.push ? router.push : router.replace
+        method.call(router, { path: route.path, query, hash: route.hash }, done, done)
+      }
+      if (options.debounce && options.debounce > 0) {
+        state.timer = setTimeout(navigate, options.debounce)
+      } else {
+        navigate()
+      }
+    }
+  }
+}
+
+// 每个组件实例的每个查询参数的状态，pending是响应式的，设置后立即可读
+function getState (vm: any, key: string, types: Dictionary<RouteQueryType>): Object {
+  if (!vm._queryModels) {
+    vm._queryModels = {}
+    // a debounced value is dropped with the component instead of navigating after it is gone
+    vm.$once('hook:beforeDestroy', () => {
+      for (const name in vm._queryModels) {
+        clearTimeout(vm._queryModels[name].timer)
+      }
+    })
+  }
+  const states = vm._queryModels
+  if (!states[key]) {
+    const state = { timer: null }
+    _Vue.util.defineReactive(state, 'pending', NONE)
+    states[key] = state
+    if (process.env.NODE_ENV !== 'production') {
+      // warn about an invalid value once per navigation
+      vm.$watch('$route.query', query => {
+        parseQueryTypes(types, query, vm.$route.path)
+      }, { immediate: true })
+    }
+  }
+  return states[key]
+}
@@ -0,0 +1,121 @@
+/* @flow */
+
+import { warn } from './warn'
+import { extend } from './misc'
+import { resolveParamType } from './params'
+
+// query values without a type stay strings
+const stringType: RouteParamType = {
+  parse: value => value,
+  stringify: String
+}
+
+/**
+ * 将路由配置的query转换为查询参数名到{ parse, stringify, array, default }的映射关系
+ * @param {?Dictionary<any>} config 路由配置的query
+ * @param {?RouteRecord} parent 父路由记录，子路由会继承父路由的查询参数类型
+ * @param {string} path 路由记录的path，用于警告信息
+ */
+export function normalizeQueryTypes (
+  config: ?Dictionary<any>,
+  parent: ?RouteRecord,
+  path: string
+): ?Dictionary<RouteQueryType> {
+  if (!config && !(parent && parent.queryTypes)) {
+    return null
+  }
+  const res = extend({}, parent && parent.queryTypes)
+  for (const key in config) {
+    const option: Object = typeof config[key] === 'string' ? { type: config[key] } : config[key] || {}
+    const type = option.type === 'string' || (!option.type && typeof option.parse !== 'function')
+      ? stringType
+      : resolveParamType(option)
+    if (type) {
+      res[key] = {
+        parse: type.parse,
+        stringify: type.stringify,
+        array: !!option.array,
+        default: option.default
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(false, `invalid type for query "${key}" in route with path "${path}".`)
+    }
+  }
+  return res
+}
+
+/**
+ * 按查询参数类型转换query，缺少的参数使用默认值，不合法的值在开发环境下警告后也使用默认值
+ * @param {boolean} silent 不警告不合法的值，用于会被反复读取的queryModel
+ */
+export function parseQueryTypes (
+  types: Dictionary<RouteQueryType>,
+  query: Object,
+  path: string,
+  silent?: boolean
+): Object {
+  const res = extend({}, query)
+  for (const key in types) {
+    const type = types[key]
+    const raw = res[key]
+    let value = raw == null ? undefined : parseValue(type, raw)
+    if (raw != null && value === undefined && !silent && process.env.NODE_ENV !== 'production') {
+      warn(false, `invalid value for query "${key}" in route with path "${path}": ${JSON.stringify(raw)}`)
+    }
+    if (value === undefined) {
+      value = Array.isArray(type.default) ? type.default.slice() : type.default
+    }
+    if (value === undefined) {
+      delete res[key]
+    } else {
+      res[key] = value
+    }
+  }
+  return res
+}
+
+// 数组类型的每一项都需要合法，非数组类型不接受多个值
+function parseValue (type: RouteQueryType, raw: any): any {
+  if (!type.array) {
+    return Array.isArray(raw) ? undefined : parseItem(type, raw)
+  }
+  const items = (Array.isArray(raw) ? raw : [raw]).map(item => parseItem(type, item))
+  return items.some(item => item === undefined) ? undefined : items
+}
+
+function parseItem (type: RouteQueryType, raw: any): any {
+  if (raw == null) return
+  try {
+    return type.parse(typeof raw === 'string' ? raw : type.stringify(raw))
+  } catch (e) {}
+}
+
+/**
+ * 按查询参数类型将query的值转换为字符串用于完整路径，等于默认值的参数不出现在完整路径中
+ */
+export function stringifyQueryTypes (
+  types: Dictionary<RouteQueryType>,
+  query: Object
+): Object {
+  const res = extend({}, query)
+  for (const key in types) {
+    const type = types[key]
+    if (res[key] == null) continue
+    const value = stringifyValue(type, res[key])
+    if (
+      type.default !== undefined &&
+      JSON.stringify(value) === JSON.stringify(stringifyValue(type, type.default))
+    ) {
+      delete res[key]
+    } else {
+      res[key] = value
+    }
+  }
+  return res
+}
+
+function stringifyValue (type: RouteQueryType, value: any): any {
+  return Array.isArray(value)
+    ? value.map(item => stringifyValue(type, item))
+    : typeof value === 'string' ? value : type.stringify(value)
+}
@@ -28,12 +28,13 @@ export function decode (str: string) {
 export function resolveQuery (
   query: ?string,
   extraQuery: Dictionary<string> = {},
-  _parseQuery: ?Function
+  _parseQuery: ?Function,
+  format?: ?QueryFormat // 查询参数的格式，自定义的parseQuery也会收到
 ): Dictionary<string> {
   const parse = _parseQuery || parseQuery
   let parsedQuery
   try {
-    parsedQuery = parse(query || '')
+    parsedQuery = parse(query || '', format)
   } catch (e) {
     process.env.NODE_ENV !== 'production' && warn(false, e.message)
     parsedQuery = {}
@@ -49,7 +50,19 @@ export function resolveQuery (
 
 const castQueryParamValue = value => (value == null || typeof value === 'object' ? value : String(value))
 
-function parseQuery (query: string): Dictionary<string> {
+// keys that would change the prototype of the parsed objects
+const unsafeKeyRE = /^(__proto__|constructor|prototype)$/
+const indexRE = /^\d+$/
+
+/**
+ * 解析查询字符串，format决定嵌套的对象和数组的格式：
+ * - repeat: a=x&a=y，默认格式，不支持对象
+ * - bracket: a[b]=1&c[]=x&c[]=y
+ * - index: a[b]=1&c[0]=x&c[1]=y
+ * - comma: a[b]=1&c=x,y
+ * - json: a=%7B%22b%22%3A1%7D&c=%5B%22x%22%2C%22y%22%5D
+ */
+function parseQuery (query: string, format?: ?QueryFormat): Dictionary<string> {
   const res = {}
 
   query = query.trim().replace(/^(\?|#|&)/, '')
@@ -61,53 +74,131 @@ function parseQuery (query: string): Dictionary<string> {
   query.split('&').forEach(param => {
     const parts = param.replace(/\+/g, ' ').split('=')
     const key = decode(parts.shift())
-    const val = parts.length > 0 ? decode(parts.join('=')) : null
-
-    if (res[key] === undefined) {
-      res[key] = val
-    } else if (Array.isArray(res[key])) {
-      res[key].push(val)
-    } else {
-      res[key] = [res[key], val]
+    const raw = parts.length > 0 ? parts.join('=') : null
+    let val = raw === null ? null : decode(raw)
+
+    if (format === 'comma' && raw !== null && raw.indexOf(',') > -1) {
+      // commas inside of the values are encoded by stringifyQuery
+      val = raw.split(',').map(decode)
+    } else if (format === 'json' && val !== null && /^[[{]/.test(val)) {
+      try {
+        val = JSON.parse(val)
+      } catch (e) {
+        // not a JSON value, keep the string
+      }
     }
+
+    const path = format && format !== 'repeat' && format !== 'json'
+      ? parseKeyPath(key)
+      : [key]
+    // ?prototype=1 is a plain query, only __proto__ changes the prototype of the result
+    const unsafe = path.length > 1
+      ? path.some(segment => unsafeKeyRE.test(segment))
+      : key === '__proto__'
+    if (unsafe) {
+      return
+    }
+    setValue(res, path, val)
   })
 
   return res
 }
 
-export function stringifyQuery (obj: Dictionary<string>): string {
+// a[b][0][] -> ['a', 'b', '0', '']
+function parseKeyPath (key: string): Array<string> {
+  const match = /^([^[\]]+)((?:\[[^[\]]*\])+)$/.exec(key)
+  if (!match) {
+    return [key]
+  }
+  return [match[1]].concat(match[2].slice(1, -1).split(']['))
+}
+
+function setValue (res: Object, path: Array<string>, val: any) {
+  let obj = res
+  for (let i = 0; i < path.length - 1; i++) {
+    const key = path[i]
+    if (Array.isArray(obj) && key === '') {
+      // a[][b]=1 adds an object to the array
+      obj.push({})
+      obj = obj[obj.length - 1]
+      continue
+    }
+    if (!obj[key] || typeof obj[key] !== 'object') {
+      const next = path[i + 1]
+      obj[key] = next === '' || indexRE.test(next) ? [] : {}
+    }
+    obj = obj[key]
+  }
+  const key = path[path.length - 1]
+  if (Array.isArray(obj) && key === '') {
+    obj.push(val)
+  } else if (!Object.prototype.hasOwnProperty.call(obj, key)) {
+    // not obj[key], ?constructor=x would see the constructor of the object
+    obj[key] = val
+  } else if (Array.isArray(obj[key])) {
+    obj[key].push(val)
+  } else {
+    obj[key] = [obj[key], val]
+  }
+}
+
+export function stringifyQuery (obj: Dictionary<string>, format?: ?QueryFormat): string {
   const res = obj
     ? Object.keys(obj)
-      .map(key => {
-        const val = obj[key]
+      .map(key => stringifyValue(encode(key), obj[key], format || 'repeat'))
+      .filter(x => x.length > 0)
+      .join('&')
+    : null
+  return res ? `?${res}` : ''
+}
 
-        if (val === undefined) {
-          return ''
-        }
+// key is already encoded, the brackets of the nested keys stay readable
+function stringifyValue (key: string, val: any, format: QueryFormat): string {
+  if (val === undefined) {
+    return ''
+  }
 
-        if (val === null) {
-          return encode(key)
-        }
+  if (val === null) {
+    return key
+  }
 
-        if (Array.isArray(val)) {
-          const result = []
-          val.forEach(val2 => {
-            if (val2 === undefined) {
-              return
-            }
-            if (val2 === null) {
-              result.push(encode(key))
-            } else {
-              result.push(encode(key) + '=' + encode(val2))
-            }
-          })
-          return result.join('&')
-        }
+  if (format === 'json' && typeof val === 'object') {
+    return key + '=' + encodeURIComponent(JSON.stringify(val))
+  }
 
-        return encode(key) + '=' + encode(val)
+  if (Array.isArray(val)) {
+    if (format === 'comma' && val.every(item => item == null || typeof item !== 'object')) {
+      const items = val.filter(item => item != null)
+      return items.length ? key + '=' + items.map(encodeCommaValue).join(',') : ''
+    }
+    return val
+      .map((item, i) => {
+        if (format === 'repeat') {
+          return stringifyValue(key, item, format)
+        }
+        // the objects inside of arrays need indexes to be parsed back
+        const index = format === 'bracket' && (item == null || typeof item !== 'object') ? '' : i
+        return stringifyValue(`${key}[${index}]`, item, format)
       })
       .filter(x => x.length > 0)
       .join('&')
-    : null
-  return res ? `?${res}` : ''
+  }
+
+  if (typeof val === 'object') {
+    if (format === 'repeat') {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(false, `query "${decode(key)}" is an object, set the queryFormat option to stringify nested queries.`)
+      }
+      return key + '=' + encode(String(val))
+    }
+    return Object.keys(val)
+      .map(name => stringifyValue(`${key}[${encode(name)}]`, val[name], format))
+      .filter(x => x.length > 0)
+      .join('&')
+  }
+
+  return key + '=' + (format === 'comma' ? encodeCommaValue(val) : encode(val))
 }
+
+// a single value with a comma would be parsed as an array
+const encodeCommaValue = val => encode(String(val)).replace(/,/g, '%2C')
@@ -7,10 +7,15 @@ import { isError } from '../util/errors'
 /**
  * 返回钩子函数，该钩子函数是执行异步组件工厂函数获取组件配置对象
  * @param {Array<RouteRecord>} matched 新路由的匹配列表剩余路由
- * @returns 
+ * @param {AsyncRetryOptions} retry 异步组件加载失败时的重试设置
+ * @returns
  */
-export function resolveAsyncComponents (matched: Array<RouteRecord>): Function {
-  return (to, from, next) => {
+export function resolveAsyncComponents (
+  matched: Array<RouteRecord>,
+  retry?: ?AsyncRetryOptions
+): Function {
+  const retries = (retry && retry.retries) || 0
+  return (to, from, next, signal) => {
     let hasAsync = false
     let pending = 0 // matched中异步组件的计数器，确保所有异步组件工厂函数都执行完
     let error = null
@@ -26,49 +31,72 @@ export function resolveAsyncComponents (matched: Array<RouteRecord>): Function {
         hasAsync = true
         pending++
 
-        const resolve = once(resolvedDef => {
-          if (isESModule(resolvedDef)) {
-            resolvedDef = resolvedDef.default
-          }
-          // save resolved on async factory in case it's used elsewhere
-          def.resolved = typeof resolvedDef === 'function'
-            ? resolvedDef
-            : _Vue.extend(resolvedDef)
-          match.components[key] = resolvedDef // 组件配置对象
-          pending--
-          if (pending <= 0) {
-            next()
-          }
-        })
+        // attempt为已重试的次数
+        const load = (attempt: number) => {
+          const resolve = once(resolvedDef => {
+            if (isESModule(resolvedDef)) {
+              resolvedDef = resolvedDef.default
+            }
+            // save resolved on async factory in case it's used elsewhere
+            def.resolved = typeof resolvedDef === 'function'
+              ? resolvedDef
+              : _Vue.extend(resolvedDef)
+            match.components[key] = resolvedDef // 组件配置对象
+            pending--
+            if (pending <= 0) {
+              next()
+            }
+          })
 
-        const reject = once(reason => {
-          const msg = `Failed to resolve async component ${key}: ${reason}`
-          process.env.NODE_ENV !== 'production' && warn(false, msg)
-          if (!error) {
-            error = isError(reason)
+          const fail = reason => {
+            if (error) return
+            const msg = `Failed to resolve async component ${key}: ${reason}`
+            // the navigation was cancelled, the error is reported as such
+            if (process.env.NODE_ENV !== 'production' && !(signal && signal.aborted)) {
+              warn(false, msg)
+            }
+            const err: any = isError(reason)
               ? reason
               : new Error(msg)
+            err.retries = attempt // 已重试的次数
+            error = err
             next(error)
           }
-        })
 
-        let res
-        try {
-          res = def(resolve, reject) // 执行异步组件工厂函数
-        } catch (e) {
-          reject(e)
-        }
-        if (res) {
-          if (typeof res.then === 'function') {
-            res.then(resolve, reject)
-          } else {
-            // new syntax in Vue 2.3
-            const comp = res.component
-            if (comp && typeof comp.then === 'function') {
-              comp.then(resolve, reject)
+          const reject = once(reason => {
+            if (attempt >= retries || error || (signal && signal.aborted)) {
+              return fail(reason)
+            }
+            // retry with a backoff unless the navigation is cancelled meanwhile
+            setTimeout(() => {
+              if (signal && signal.aborted) {
+                fail(reason)
+              } else if (!error) {
+                load(attempt + 1)
+              }
+            }, getRetryDelay(retry, attempt + 1))
+          })
+
+          let res
+          try {
+            // the signal is aborted when the navigation is cancelled
+            res = def(resolve, reject, signal) // 执行异步组件工厂函数
+          } catch (e) {
+            reject(e)
+          }
+          if (res) {
+            if (typeof res.then === 'function') {
+              res.then(resolve, reject)
+            } else {
+              // new syntax in Vue 2.3
+              const comp = res.component
+              if (comp && typeof comp.then === 'function') {
+                comp.then(resolve, reject)
+              }
             }
           }
         }
+        load(0)
       }
     })
 
@@ -76,11 +104,133 @@ export function resolveAsyncComponents (matched: Array<RouteRecord>): Function {
   }
 }
 
+// 第attempt次重试前等待的时间，默认从300ms开始指数退避
+function getRetryDelay (retry: ?AsyncRetryOptions, attempt: number): number {
+  const delay = retry && retry.delay
+  if (typeof delay === 'function') return delay(attempt)
+  return (typeof delay === 'number' ? delay : 300) * Math.pow(2, attempt - 1)
+}
+
+/**
+ * 返回钩子函数，该钩子函数是加载路由记录的异步子路由，并将其添加到路由记录下
+ * @param {Array<RouteRecord>} records 子路由尚未加载的路由记录
+ * @param {Function} addChildren 添加子路由的函数
+ * @returns
+ */
+export function resolveLazyChildren (
+  records: Array<RouteRecord>,
+  addChildren: (record: RouteRecord, routes: Array<RouteConfig>) => void
+): Function {
+  return (to, from, next, signal) => {
+    // the children may have been loaded by a previous navigation
+    const lazyRecords = records.filter(record => record.loadChildren)
+    let pending = lazyRecords.length
+    let error = null
+
+    if (!pending) return next()
+
+    lazyRecords.forEach(record => {
+      const load: any = record.loadChildren
+
+      const resolve = once(routes => {
+        // () => import('./routes') resolves to the module
+        if (routes && !Array.isArray(routes)) {
+          routes = routes.default
+        }
+        addChildren(record, routes || [])
+        pending--
+        if (pending <= 0) {
+          next()
+        }
+      })
+
+      const reject = once(reason => {
+        const msg = `Failed to load child routes of "${record.path}": ${reason}`
+        process.env.NODE_ENV !== 'production' && warn(false, msg)
+        if (!error) {
+          error = isError(reason)
+            ? reason
+            : new Error(msg)
+          next(error)
+        }
+      })
+
+      let res
+      try {
+        res = load(signal)
+      } catch (e) {
+        return reject(e)
+      }
+      if (res && typeof res.then === 'function') {
+        res.then(resolve, reject)
+      } else {
+        resolve(res)
+      }
+    })
+  }
+}
+
+/**
+ * 返回钩子函数，该钩子函数并行执行路由记录的loader，所有loader完成后才继续导航
+ * @param {Array<RouteRecord>} records 需要执行loader的路由记录
+ * @param {Function} onLoad 每个loader完成后的回调，参数为路由记录和loader的结果
+ * @returns
+ */
+export function resolveLoaders (
+  records: Array<RouteRecord>,
+  onLoad: (record: RouteRecord, data: any) => void
+): Function {
+  return (to, from, next, signal) => {
+    let pending = records.length
+    let error = null
+
+    if (!pending) return next()
+
+    records.forEach(record => {
+      const loader: any = record.loader
+
+      const resolve = once(data => {
+        onLoad(record, data)
+        pending--
+        if (pending <= 0) {
+          next()
+        }
+      })
+
+      const reject = once(reason => {
+        const msg = `Failed to run the loader of "${record.path}": ${reason}`
+        // loaders stopped by the signal of a cancelled navigation are expected to fail
+        if (process.env.NODE_ENV !== 'production' && !(signal && signal.aborted)) {
+          warn(false, msg)
+        }
+        if (!error) {
+          error = isError(reason)
+            ? reason
+            : new Error(msg)
+          next(error)
+        }
+      })
+
+      let res
+      try {
+        res = loader(to, { from, signal })
+      } catch (e) {
+        return reject(e)
+      }
+      if (res && typeof res.then === 'function') {
+        res.then(resolve, reject)
+      } else {
+        resolve(res)
+      }
+    })
+  }
+}
+
 /**
  * 对matched中的所有路由记录涉及的组件，都执行fn方法
  * @param {Array<RouteRecord} matched 路由记录
  * @param {Function} fn 每一个路由记录的组件列表的元素的处理函数，返回一个函数或数组
- * @returns 
+ * @returns
  */
 export function flatMapComponents (
   matched: Array<RouteRecord>,
@@ -2,6 +2,9 @@
 
 import type VueRouter from '../index'
 import { stringifyQuery } from './query'
+import { stringifyOutlets } from './outlets'
+import { extend } from './misc'
+import { parseQueryTypes, stringifyQueryTypes } from './query-types'
 
 const trailingSlashRE = /\/?$/
 
@@ -10,14 +13,24 @@ export function createRoute (
   record: ?RouteRecord,
   location: Location,
   redirectedFrom?: ?Location,
-  router?: VueRouter
+  router?: VueRouter,
+  outlets?: ?Dictionary<Route> // 各辅助出口匹配的路由
 ): Route {
   const stringifyQuery = router && router.options.stringifyQuery
+  const queryFormat = router && router.options.queryFormat
 
   let query: any = location.query || {}
   try {
     query = clone(query)
   } catch (e) {}
+  // 路由记录声明了查询参数类型时，route.query为转换后的值，完整路径中省略默认值
+  const queryTypes = record && record.queryTypes
+  if (record && queryTypes) {
+    query = parseQueryTypes(queryTypes, query, record.path)
+  }
+  const fullPathLocation = queryTypes
+    ? extend(extend({}, location), { query: stringifyQueryTypes(queryTypes, query) })
+    : location
 
   const route: Route = {
     name: location.name || (record && record.name),
@@ -26,11 +39,14 @@ export function createRoute (
     hash: location.hash || '',
     query,
     params: location.params || {},
-    fullPath: getFullPath(location, stringifyQuery), // 解析后的URL，包含查询参数和has的完整路径
+    fullPath: getFullPath(fullPathLocation, stringifyQuery, queryFormat), // 解析后的URL，包含查询参数和has的完整路径
     matched: record ? formatMatch(record) : [] // 当前路由嵌套路径片段的路由记录
   }
+  if (outlets) {
+    route.outlets = outlets
+  }
   if (redirectedFrom) {
-    route.redirectedFrom = getFullPath(redirectedFrom, stringifyQuery) // 重定向来源的路由名字
+    route.redirectedFrom = getFullPath(redirectedFrom, stringifyQuery, queryFormat) // 重定向来源的路由名字
   }
   return Object.freeze(route)
 }
@@ -64,11 +80,12 @@ function formatMatch (record: ?RouteRecord): Array<RouteRecord> {
 }
 
 function getFullPath (
-  { path, query = {}, hash = '' },
-  _stringifyQuery
+  { path, query = {}, hash = '', outlets },
+  _stringifyQuery,
+  queryFormat
 ): string {
   const stringify = _stringifyQuery || stringifyQuery
-  return (path || '/') + stringify(query) + hash
+  return (path || '/') + stringifyOutlets(outlets) + stringify(query, queryFormat) + hash
 }
 
 export function isSameRoute (a: Route, b: ?Route, onlyPath: ?boolean): boolean {
@@ -79,14 +96,16 @@ export function isSameRoute (a: Route, b: ?Route, onlyPath: ?boolean): boolean {
   } else if (a.path && b.path) {
     return a.path.replace(trailingSlashRE, '') === b.path.replace(trailingSlashRE, '') && (onlyPath ||
       a.hash === b.hash &&
-      isObjectEqual(a.query, b.query))
+      isObjectEqual(a.query, b.query) &&
+      isSameOutlets(a, b))
   } else if (a.name && b.name) {
     return (
       a.name === b.name &&
       (onlyPath || (
         a.hash === b.hash &&
       isObjectEqual(a.query, b.query) &&
-      isObjectEqual(a.params, b.params))
+      isObjectEqual(a.params, b.params) &&
+      isSameOutlets(a, b))
       )
     )
   } else {
@@ -94,7 +113,11 @@ export function isSameRoute (a: Route, b: ?Route, onlyPath: ?boolean): boolean {
   }
 }
 
-function isObjectEqual (a = {}, b = {}): boolean {
+function isSameOutlets (a: Route, b: Route): boolean {
+  return stringifyOutlets(a.outlets) === stringifyOutlets(b.outlets)
+}
+
+export function isObjectEqual (a: any = {}, b: any = {}): boolean {
   // handle null value #1566
   if (!a || !b) return a === b
   const aKeys = Object.keys(a).sort()
@@ -137,6 +160,9 @@ function queryIncludes (current: Dictionary<string>, target: Dictionary<string>)
 }
 
 export function handleRouteEntered (route: Route) {
+  for (const name in route.outlets) {
+    handleRouteEntered(route.outlets[name])
+  }
   for (let i = 0; i < route.matched.length; i++) {
     const record = route.matched[i]
     for (const name in record.instances) {
@@ -0,0 +1,124 @@
+/* @flow */
+
+import Regexp from 'path-to-regexp'
+
+// the default pattern of a param, which matches exactly one path segment
+const SEGMENT_PATTERN = '[^\\/]+?'
+
+// scores of path segments, the more specific a segment the higher its score
+const STATIC_SCORE = 40
+const PARAM_SCORE = 20
+const CUSTOM_REGEX_BONUS = 5 // :id(\\d+)
+const STATIC_TEXT_BONUS = 5 // file.:ext
+const OPTIONAL_SCORE = 10 // :id?, :id+, :id*
+const WILDCARD_SCORE = 0 // *
+
+export type PathSegment = {
+  type: 'static' | 'param' | 'dynamic', // param匹配且仅匹配一个完整片段
+  value: string, // static片段的内容
+  key: string, // 去掉参数名后的片段，用于比较两个片段是否匹配相同的内容
+  optional: boolean,
+  score: number
+}
+
+/**
+ * 将路由记录的path解析为以/分隔的片段列表，忽略开头和结尾的/
+ */
+export function parseSegments (path: string): Array<PathSegment> {
+  const segments = []
+  let current = createSegment()
+
+  const tokens = Regexp.parse(path)
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+    if (typeof token === 'string') {
+      const parts = token.split('/')
+      appendStatic(current, parts[0])
+      for (let j = 1; j < parts.length; j++) {
+        segments.push(current)
+        current = createSegment()
+        appendStatic(current, parts[j])
+      }
+    } else {
+      if (token.prefix === '/') {
+        segments.push(current)
+        current = createSegment()
+      } else {
+        current.key += token.prefix
+      }
+      appendParam(current, token)
+    }
+  }
+  segments.push(current)
+
+  if (isEmptySegment(segments[0])) segments.shift()
+  if (isEmptySegment(segments[segments.length - 1])) segments.pop()
+  return segments
+}
+
+/**
+ * Compare the segment scores of two paths, returns a negative number when `a`
+ * is more specific than `b`. When one path is a prefix of the other, the
+ * shorter one wins as the remaining segments of the longer one can only make
+ * it match the same URL if they are optional.
+ */
+export function compareSegments (
+  a: Array<PathSegment>,
+  b: Array<PathSegment>
+): number {
+  const length = Math.min(a.length, b.length)
+  for (let i = 0; i < length; i++) {
+    const diff = b[i].score - a[i].score
+    if (diff) return diff
+  }
+  return a.length - b.length
+}
+
+function createSegment (): PathSegment {
+  return { type: 'static', value: '', key: '', optional: false, score: STATIC_SCORE }
+}
+
+function appendStatic (segment: PathSegment, value: string) {
+  if (!value) return
+  segment.key += value
+  if (segment.type === 'static') {
+    segment.value += value
+  } else {
+    segment.type = 'dynamic'
+    segment.score = Math.min(segment.score + STATIC_TEXT_BONUS, STATIC_SCORE)
+  }
+}
+
+function appendParam (segment: PathSegment, token: PathToRegexpToken) {
+  const isCustom = token.pattern !== SEGMENT_PATTERN
+  let score = token.asterisk
+    ? WILDCARD_SCORE
+    : token.optional || token.repeat
+      ? OPTIONAL_SCORE
+      : PARAM_SCORE + (isCustom ? CUSTOM_REGEX_BONUS : 0)
+  segment.key += `(${token.pattern})${token.optional ? '?' : ''}${token.repeat ? '+' : ''}`
+
+  if (
+    segment.type === 'static' &&
+    !segment.value &&
+    token.prefix === '/' &&
+    !isCustom &&
+    !token.repeat &&
+    !token.asterisk
+  ) {
+    segment.type = 'param'
+    segment.optional = token.optional
+  } else {
+    if (segment.type === 'static' && segment.value && !token.asterisk) {
+      score += STATIC_TEXT_BONUS
+    }
+    segment.type = 'dynamic'
+    segment.optional = false
+    score = Math.min(score, segment.score)
+  }
+  segment.score = score
+}
+
+function isEmptySegment (segment: ?PathSegment): boolean {
+  return !!segment && segment.type === 'static' && !segment.value
+}
@@ -0,0 +1,116 @@
+/* global AbortController, AbortSignal */
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+import { NavigationFailureType } from '../../../src/util/errors'
+
+Vue.use(VueRouter)
+
+describe('cancelling navigations with an AbortSignal', () => {
+  const Foo = { name: 'Foo' }
+
+  function factory (routes) {
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [{ path: '/', component: {}}].concat(routes || [
+        { path: '/foo', component: Foo },
+        { path: '/bar', component: {}}
+      ])
+    })
+    return router.push('/').then(() => router)
+  }
+
+  function isCancelled (err) {
+    return VueRouter.isNavigationFailure(err, NavigationFailureType.cancelled)
+  }
+
+  it('cancels a pending navigation when the signal is aborted', done => {
+    const controller = new AbortController()
+    let guardSignal
+    factory().then(router => {
+      router.beforeEach((to, from, next, signal) => {
+        guardSignal = signal
+      })
+      router.push({ path: '/foo', signal: controller.signal }).catch(err => {
+        expect(isCancelled(err)).toBe(true)
+        expect(err.message).toContain('with an AbortSignal')
+        expect(guardSignal.aborted).toBe(true)
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      })
+      controller.abort()
+    })
+  })
+
+  it('does not start the navigation with an aborted signal', done => {
+    const controller = new AbortController()
+    const guard = jasmine.createSpy('guard')
+    controller.abort()
+    factory().then(router => {
+      router.beforeEach(guard)
+      return router.replace({ path: '/foo', signal: controller.signal }).catch(err => {
+        expect(isCancelled(err)).toBe(true)
+        expect(guard).not.toHaveBeenCalled()
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      })
+    })
+  })
+
+  it('aborts the signal of guards when a new navigation starts', done => {
+    const onError = jasmine.createSpy('error')
+    factory().then(router => {
+      router.onError(onError)
+      router.beforeEach((to, from, next, signal) => {
+        if (to.path !== '/foo') return next()
+        // simulates a fetch stopped by the signal
+        return new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => {
+            const err = new Error('The operation was aborted.')
+            err.name = 'AbortError'
+            reject(err)
+          })
+        })
+      })
+      const pending = router.push('/foo').catch(err => err)
+      router.push('/bar').then(() => pending).then(err => {
+        expect(isCancelled(err)).toBe(true)
+        expect(onError).not.toHaveBeenCalled()
+        expect(router.currentRoute.path).toBe('/bar')
+        done()
+      })
+    })
+  })
+
+  it('passes the signal to async component factories', done => {
+    let componentSignal
+    factory([
+      {
+        path: '/async',
+        component: (resolve, reject, signal) => {
+          componentSignal = signal
+          setTimeout(() => resolve(Foo), 0)
+        }
+      }
+    ]).then(router => {
+      return router.push('/async').then(() => {
+        expect(componentSignal instanceof AbortSignal).toBe(true)
+        expect(componentSignal.aborted).toBe(false)
+        done()
+      })
+    })
+  })
+
+  it('ignores signals aborted after the navigation settled', done => {
+    const controller = new AbortController()
+    factory().then(router => {
+      return router.push({ path: '/foo', signal: controller.signal }).then(route => {
+        controller.abort()
+        expect(router.currentRoute).toBe(route)
+        return router.push('/bar')
+      }).then(route => {
+        expect(route.path).toBe('/bar')
+        done()
+      })
+    })
+  })
+})
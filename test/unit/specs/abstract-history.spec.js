@@ -39,4 +39,106 @@ describe('abstract history', () => {
         done()
       })
   })
+
+  it('run afterEach with the failure when router.go is aborted', done => {
+    const router = new VueRouter({ mode: 'abstract' })
+    const afterEach = jasmine.createSpy('afterEach')
+
+    router
+      .push('/')
+      .then(() => router.push('/foo'))
+      .then(() => {
+        router.beforeEach((to, from, next) => next(false))
+        router.afterEach(afterEach)
+        router.go(-1)
+        return delay(30)
+      })
+      .then(() => {
+        expect(router.currentRoute.path).toBe('/foo')
+        expect(afterEach).toHaveBeenCalledTimes(1)
+        const [to, from, failure] = afterEach.calls.argsFor(0)
+        expect(to.path).toBe('/')
+        expect(from.path).toBe('/foo')
+        expect(VueRouter.isNavigationFailure(failure, VueRouter.NavigationFailureType.aborted)).toBe(true)
+        done()
+      })
+  })
+
+  it('keeps the current entry when routes are added after going back', done => {
+    const router = new VueRouter({ mode: 'abstract', routes: [{ path: '/', component: {}}, { path: '/foo', component: {}}] })
+
+    router
+      .push('/')
+      .then(() => router.push('/foo'))
+      .then(() => {
+        router.go(-1)
+        return delay(30)
+      })
+      .then(() => {
+        expect(router.history.getCurrentLocation()).toBe('/')
+        router.addRoute({ path: '/bar', component: {}})
+        return delay(30)
+      })
+      .then(() => {
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      })
+  })
+
+  it('exposes the stack and where it can go', done => {
+    const router = new VueRouter({ mode: 'abstract' })
+    const history = router.history
+    expect(history.canGoBack).toBe(false)
+    expect(history.canGoForward).toBe(false)
+
+    router
+      .replace('/')
+      .then(() => {
+        expect(history.index).toBe(0)
+        return router.push('/foo')
+      })
+      .then(() => {
+        expect(history.stack.map(route => route.path)).toEqual(['/', '/foo'])
+        expect(history.canGoBack).toBe(true)
+        expect(history.canGoForward).toBe(false)
+        router.go(-1)
+        return delay(30)
+      })
+      .then(() => {
+        expect(history.index).toBe(0)
+        expect(history.canGoBack).toBe(false)
+        expect(history.canGoForward).toBe(true)
+        done()
+      })
+  })
+
+  it('notifies the changes of the stack', done => {
+    const router = new VueRouter({ mode: 'abstract' })
+    const changes = []
+    const stop = router.history.onChange(change => {
+      changes.push([change.type, change.index, change.stack.map(route => route.path)])
+    })
+
+    router
+      .push('/')
+      .then(() => router.push('/foo'))
+      .then(() => router.replace('/bar'))
+      .then(() => {
+        router.go(-1)
+        return delay(30)
+      })
+      .then(() => {
+        stop()
+        return router.push('/foo')
+      })
+      .then(() => {
+        expect(changes).toEqual([
+          ['push', 0, ['/']],
+          ['push', 1, ['/', '/foo']],
+          ['replace', 1, ['/', '/bar']],
+          ['go', 0, ['/', '/bar']]
+        ])
+        done()
+      })
+  })
 })
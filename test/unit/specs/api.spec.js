@@ -135,6 +135,42 @@ describe('router.addRoutes', () => {
   })
 })
 
+describe('router.removeRoute', () => {
+  it('should work', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/a', name: 'a', component: { name: 'A' }},
+        { path: '*', component: { name: 'NotFound' }}
+      ]
+    })
+
+    router.push('/a')
+    expect(router.hasRoute('a')).toBe(true)
+    expect(router.getMatchedComponents()[0].name).toBe('A')
+
+    router.removeRoute('a')
+    expect(router.hasRoute('a')).toBe(false)
+    // the current location is matched again
+    expect(router.getMatchedComponents()[0].name).toBe('NotFound')
+  })
+
+  it('can be undone with the function returned by addRoute', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [{ path: '*', component: { name: 'NotFound' }}]
+    })
+
+    router.push('/b')
+    const removeB = router.addRoute({ path: '/b', name: 'b', component: { name: 'B' }})
+    expect(router.getMatchedComponents()[0].name).toBe('B')
+
+    removeB()
+    expect(router.hasRoute('b')).toBe(false)
+    expect(router.getMatchedComponents()[0].name).toBe('NotFound')
+  })
+})
+
 describe('router.push/replace', () => {
   let calls = []
   let router, spy1, spy2
@@ -0,0 +1,145 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+import { isChunkLoadError } from '../../../src/util/chunk-reload'
+
+Vue.use(VueRouter)
+
+describe('async component retries', () => {
+  const Foo = { name: 'Foo' }
+
+  function factory (component, options) {
+    const router = new VueRouter(Object.assign({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: {}},
+        { path: '/foo', component }
+      ]
+    }, options))
+    return router.push('/').then(() => router)
+  }
+
+  function flaky (failures) {
+    let calls = 0
+    const load = jasmine.createSpy('load').and.callFake(() => {
+      return ++calls > failures
+        ? Promise.resolve(Foo)
+        : Promise.reject(new Error(`attempt ${calls} failed`))
+    })
+    return load
+  }
+
+  it('loads the component again after a failure', done => {
+    const load = flaky(2)
+    factory(load, { asyncRetry: { retries: 2, delay: 1 }}).then(router => {
+      return router.push('/foo')
+    }).then(route => {
+      expect(load).toHaveBeenCalledTimes(3)
+      expect(route.matched[0].components.default).toBe(Foo)
+      done()
+    })
+  })
+
+  it('reports the number of retries on the error', done => {
+    const load = flaky(5)
+    const onError = jasmine.createSpy('error')
+    spyOn(console, 'warn')
+    factory(load, { asyncRetry: { retries: 2, delay: 1 }}).then(router => {
+      router.onError(onError)
+      return router.push('/foo').catch(err => {
+        expect(load).toHaveBeenCalledTimes(3)
+        expect(err.message).toBe('attempt 3 failed')
+        expect(err.retries).toBe(2)
+        expect(onError).toHaveBeenCalledWith(err)
+        done()
+      })
+    })
+  })
+
+  it('waits for the delay returned by a function', done => {
+    const load = flaky(2)
+    const delay = jasmine.createSpy('delay').and.returnValue(1)
+    factory(load, { asyncRetry: { retries: 3, delay }}).then(router => {
+      return router.push('/foo')
+    }).then(() => {
+      expect(delay.calls.allArgs()).toEqual([[1], [2]])
+      done()
+    })
+  })
+
+  it('does not retry by default', done => {
+    const load = flaky(1)
+    spyOn(console, 'warn')
+    factory(load).then(router => {
+      router.onError(() => {})
+      return router.push('/foo').catch(err => {
+        expect(load).toHaveBeenCalledTimes(1)
+        expect(err.retries).toBe(0)
+        done()
+      })
+    })
+  })
+
+  it('stops retrying when the navigation is cancelled', done => {
+    const load = flaky(1)
+    factory(load, { asyncRetry: { retries: 2, delay: 10 }}).then(router => {
+      const pending = router.push('/foo').catch(err => err)
+      setTimeout(() => router.push('/').catch(() => {}), 0)
+      return pending
+    }).then(err => {
+      expect(VueRouter.isNavigationFailure(err, VueRouter.NavigationFailureType.cancelled)).toBe(true)
+      setTimeout(() => {
+        expect(load).toHaveBeenCalledTimes(1)
+        done()
+      }, 20)
+    })
+  })
+
+  it('asks whether the page should be reloaded with the new build', done => {
+    const err = new Error('Loading chunk foo failed.')
+    const reloadOnChunkError = jasmine.createSpy('reload').and.returnValue(false)
+    spyOn(console, 'warn')
+    factory(() => Promise.reject(err), { reloadOnChunkError }).then(router => {
+      router.onError(() => {})
+      return router.push('/foo').catch(error => {
+        expect(error).toBe(err)
+        expect(reloadOnChunkError).toHaveBeenCalledWith(err, jasmine.objectContaining({ path: '/foo' }))
+        done()
+      })
+    })
+  })
+
+  it('rejects a duplicated navigation without asking for a reload', done => {
+    const reloadOnChunkError = jasmine.createSpy('reload')
+    factory(() => Promise.resolve(Foo), { reloadOnChunkError }).then(router => {
+      return router.push('/').catch(err => {
+        expect(VueRouter.isNavigationFailure(err, VueRouter.NavigationFailureType.duplicated)).toBe(true)
+        expect(reloadOnChunkError).not.toHaveBeenCalled()
+        done()
+      })
+    })
+  })
+
+  it('rejects a navigation with an aborted signal without asking for a reload', done => {
+    const reloadOnChunkError = jasmine.createSpy('reload')
+    const controller = new AbortController() // eslint-disable-line no-undef
+    controller.abort()
+    factory(() => Promise.resolve(Foo), { reloadOnChunkError }).then(router => {
+      return router.push({ path: '/foo', signal: controller.signal }).catch(err => {
+        expect(VueRouter.isNavigationFailure(err, VueRouter.NavigationFailureType.cancelled)).toBe(true)
+        expect(reloadOnChunkError).not.toHaveBeenCalled()
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      })
+    })
+  })
+
+  it('detects missing chunks', () => {
+    const chunkError = new Error('Loading chunk 42 failed.\n(error: /42.js)')
+    chunkError.name = 'ChunkLoadError'
+    expect(isChunkLoadError(chunkError)).toBe(true)
+    expect(isChunkLoadError(new Error('Loading CSS chunk about failed.'))).toBe(true)
+    expect(isChunkLoadError(new TypeError('Failed to fetch dynamically imported module: /a.js'))).toBe(true)
+    expect(isChunkLoadError(new Error('Unexpected token'))).toBe(false)
+    expect(isChunkLoadError(null)).toBe(false)
+  })
+})
@@ -0,0 +1,134 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+
+Vue.use(VueRouter)
+
+describe('child router', () => {
+  const Comp = { render: h => h('div') }
+
+  function createParent () {
+    return new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: Comp },
+        { path: '/settings*', component: Comp }
+      ]
+    })
+  }
+
+  function createChild (options) {
+    const child = new VueRouter(Object.assign({
+      routes: [
+        { path: '/', component: Comp },
+        { path: '/profile', component: Comp },
+        { path: '/account', component: Comp },
+        { path: '/locked', component: Comp },
+        { path: '/old', component: Comp }
+      ]
+    }, options))
+    new Vue({ router: child })
+    return child
+  }
+
+  function go (router, n) {
+    return new Promise(resolve => {
+      const remove = router.afterEach(() => {
+        remove()
+        resolve()
+      })
+      router.go(n)
+    })
+  }
+
+  it('reads its location from the path prefix of the parent', done => {
+    const parent = createParent()
+    parent.push('/settings/profile').then(() => {
+      const child = createChild({ parent, prefix: '/settings' })
+      expect(child.mode).toBe('child')
+      expect(child.currentRoute.fullPath).toBe('/profile')
+      expect(child.resolve('/account?tab=1').href).toBe('/settings/account?tab=1')
+      return child.push('/account?tab=1').then(route => {
+        expect(route.fullPath).toBe('/account?tab=1')
+        expect(child.currentRoute.fullPath).toBe('/account?tab=1')
+        expect(parent.currentRoute.fullPath).toBe('/settings/account?tab=1')
+        return child.push('/')
+      })
+    }).then(() => {
+      expect(parent.currentRoute.fullPath).toBe('/settings')
+      done()
+    })
+  })
+
+  it('follows the back and forward navigations of the parent', done => {
+    const parent = createParent()
+    let child
+    parent.push('/settings/profile').then(() => {
+      child = createChild({ parent, prefix: 'settings/' })
+      return child.push('/account')
+    }).then(() => {
+      return go(child, -1)
+    }).then(() => {
+      expect(parent.currentRoute.fullPath).toBe('/settings/profile')
+      expect(child.currentRoute.fullPath).toBe('/profile')
+      return go(parent, 1)
+    }).then(() => {
+      expect(child.currentRoute.fullPath).toBe('/account')
+      done()
+    })
+  })
+
+  it('runs the guards of both routers', done => {
+    const parent = createParent()
+    const parentGuard = jasmine.createSpy('parentGuard')
+    parent.beforeEach(parentGuard)
+    let child
+    parent.push('/settings/profile').then(() => {
+      child = createChild({ parent, prefix: '/settings' })
+      child.beforeEach(to => to.path === '/old' ? '/account' : to.path !== '/locked')
+      parentGuard.calls.reset()
+      return child.push('/account')
+    }).then(() => {
+      expect(parentGuard).toHaveBeenCalledTimes(1)
+      expect(parentGuard.calls.mostRecent().args[0].fullPath).toBe('/settings/account')
+      return parent.push('/settings/locked').catch(err => {
+        expect(VueRouter.isNavigationFailure(err, VueRouter.NavigationFailureType.aborted)).toBe(true)
+      })
+    }).then(() => {
+      expect(parent.currentRoute.fullPath).toBe('/settings/account')
+      expect(child.currentRoute.fullPath).toBe('/account')
+      return child.push('/profile')
+    }).then(() => {
+      const redirected = new Promise(resolve => {
+        parent.afterEach(to => {
+          if (to.fullPath === '/settings/account') resolve()
+        })
+      })
+      parent.push('/settings/old').catch(err => {
+        expect(VueRouter.isNavigationFailure(err, VueRouter.NavigationFailureType.redirected)).toBe(true)
+      })
+      return redirected
+    }).then(() => {
+      expect(child.currentRoute.fullPath).toBe('/account')
+      done()
+    })
+  })
+
+  it('keeps its location in a query parameter of the parent', done => {
+    const parent = createParent()
+    let child
+    parent.push('/?lang=en').then(() => {
+      child = createChild({ parent, queryKey: 'panel' })
+      expect(child.currentRoute.fullPath).toBe('/')
+      return child.push('/profile?tab=1')
+    }).then(() => {
+      expect(parent.currentRoute.query).toEqual({ lang: 'en', panel: '/profile?tab=1' })
+      return parent.push({ path: '/', query: { lang: 'fr', panel: '/profile?tab=1' }})
+    }).then(() => {
+      expect(child.currentRoute.fullPath).toBe('/profile?tab=1')
+      return parent.push({ path: '/', query: { panel: 'account' }})
+    }).then(() => {
+      expect(child.currentRoute.fullPath).toBe('/account')
+      done()
+    })
+  })
+})
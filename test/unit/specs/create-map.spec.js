@@ -68,6 +68,69 @@ describe('Creating Route Map', function () {
     ])
   })
 
+  it('ranks routes by specificity regardless of their order', function () {
+    const { pathList } = createRouteMap([
+      { path: '*', component: Baz },
+      { path: '/users/:id*', component: Foo },
+      { path: '/users/:id', component: Foo },
+      { path: '/users/:id(\\d+)', component: Foo },
+      { path: '/users/new', component: Foo },
+      { path: '/users/*', component: Foo },
+      { path: '/:section/new', component: Foo }
+    ])
+    expect(pathList).toEqual([
+      '/users/new',
+      '/users/:id(\\d+)',
+      '/users/:id',
+      '/users/:id*',
+      '/users/*',
+      '/:section/new',
+      '*'
+    ])
+  })
+
+  it('ranks routes added later with the existing ones', function () {
+    const maps = createRouteMap([
+      { path: '/users/:id', component: Foo },
+      { path: '*', component: Baz }
+    ])
+    createRouteMap(
+      [{ path: '/users/new', component: Foo }],
+      maps.pathList,
+      maps.pathMap,
+      maps.nameMap
+    )
+    expect(maps.pathList).toEqual(['/users/new', '/users/:id', '*'])
+  })
+
+  it('in development, warns about routes matching the same URLs', function () {
+    process.env.NODE_ENV = 'development'
+    createRouteMap([
+      { path: '/users/:id', component: Foo },
+      { path: '/users/:name', component: Foo }
+    ])
+    expect(console.warn).toHaveBeenCalledTimes(1)
+    expect(console.warn.calls.argsFor(0)[0]).toMatch(
+      'vue-router] Route with path "/users/:name" matches the same URLs as the route with path "/users/:id"'
+    )
+  })
+
+  it('only warns about the routes matching the same URLs as the added ones', function () {
+    process.env.NODE_ENV = 'development'
+    const maps = createRouteMap([
+      { path: '/users/:id', component: Foo },
+      { path: '/users/:name', component: Foo }
+    ])
+    expect(console.warn).toHaveBeenCalledTimes(1)
+    createRouteMap([{ path: '/posts/:id', component: Foo }], maps.pathList, maps.pathMap, maps.nameMap)
+    expect(console.warn).toHaveBeenCalledTimes(1)
+    createRouteMap([{ path: '/users/:slug', component: Foo }], maps.pathList, maps.pathMap, maps.nameMap)
+    expect(console.warn).toHaveBeenCalledTimes(2)
+    expect(console.warn.calls.argsFor(1)[0]).toMatch(
+      'vue-router] Route with path "/users/:slug" matches the same URLs as the route with path "/users/:id"'
+    )
+  })
+
   it("has a nameMap object for default subroute at 'bar.baz'", function () {
     expect(maps.nameMap['bar.baz']).not.toBeUndefined()
   })
@@ -73,6 +73,240 @@ describe('Creating Matcher', function () {
     expect(matcher.getRoutes().length).toBe(8)
   })
 
+  it('can remove routes with their children and aliases', function () {
+    const component = { name: 'fake' }
+    const matcher = createMatcher([
+      {
+        path: '/p',
+        name: 'parent',
+        alias: '/alias',
+        component,
+        children: [{ path: 'c', name: 'child', component }]
+      },
+      { path: '/other', name: 'other', component }
+    ])
+
+    expect(matcher.hasRoute('parent')).toBe(true)
+    expect(matcher.match('/alias/c').name).toBe('child')
+
+    matcher.removeRoute('parent')
+    expect(matcher.hasRoute('parent')).toBe(false)
+    expect(matcher.hasRoute('child')).toBe(false)
+    expect(matcher.match('/p').matched.length).toBe(0)
+    expect(matcher.match('/p/c').matched.length).toBe(0)
+    expect(matcher.match('/alias').matched.length).toBe(0)
+    expect(matcher.match('/alias/c').matched.length).toBe(0)
+    expect(matcher.getRoutes().map(r => r.path)).toEqual(['/other'])
+  })
+
+  it('removes routes added to an aliased parent', function () {
+    const component = { name: 'fake' }
+    const matcher = createMatcher([
+      { path: '/p', name: 'parent', alias: '/a', component }
+    ])
+
+    matcher.addRoute('parent', { path: 'b', name: 'p-b', component })
+    expect(matcher.match('/a/b').name).toBe('p-b')
+
+    matcher.removeRoute('p-b')
+    expect(matcher.hasRoute('p-b')).toBe(false)
+    expect(matcher.match('/p/b').matched.length).toBe(0)
+    expect(matcher.match('/a/b').matched.length).toBe(0)
+    expect(matcher.match('/p').name).toBe('parent')
+  })
+
+  it('returns a function from addRoute that removes the added routes', function () {
+    const component = { name: 'fake' }
+    const matcher = createMatcher([{ path: '/a', name: 'a', component }])
+
+    const removeB = matcher.addRoute({
+      path: '/b',
+      name: 'b',
+      alias: '/c',
+      component,
+      children: [{ path: 'd', name: 'd', component }]
+    })
+    expect(matcher.getRoutes().length).toBe(5)
+
+    removeB()
+    expect(matcher.hasRoute('b')).toBe(false)
+    expect(matcher.hasRoute('d')).toBe(false)
+    expect(matcher.getRoutes().map(r => r.path)).toEqual(['/a'])
+  })
+
+  it('in development, warns when removing a route that does not exist', function () {
+    process.env.NODE_ENV = 'development'
+    createMatcher([]).removeRoute('nope')
+    expect(console.warn).toHaveBeenCalled()
+    expect(console.warn.calls.argsFor(0)[0]).toMatch(
+      'Cannot remove non-existent route "nope"'
+    )
+  })
+
+  it('matches the most specific route first', function () {
+    const component = { name: 'fake' }
+    const matcher = createMatcher([
+      { path: '/users/:id', name: 'user', component },
+      { path: '/users/new', name: 'new-user', component }
+    ])
+    matcher.addRoute({ path: '/users/:id/edit', name: 'edit-user', component })
+    matcher.addRoute({ path: '/users/:id/:tab?', name: 'user-tab', component })
+
+    expect(matcher.match('/users/new').name).toBe('new-user')
+    expect(matcher.match('/users/1').name).toBe('user')
+    expect(matcher.match('/users/1/edit').name).toBe('edit-user')
+    expect(matcher.match('/users/1/posts').name).toBe('user-tab')
+  })
+
+  describe('param types', function () {
+    const component = { name: 'fake' }
+    const Day = {
+      parse: value => {
+        const date = new Date(value)
+        return isNaN(date.getTime()) ? undefined : date
+      },
+      stringify: date => date.toISOString().slice(0, 10)
+    }
+    let matcher
+
+    beforeEach(function () {
+      matcher = createMatcher([
+        {
+          path: '/users/:id',
+          name: 'user',
+          component,
+          alias: '/u/:id',
+          params: { id: 'integer' },
+          children: [
+            {
+              path: 'posts/:draft',
+              name: 'posts',
+              component,
+              params: { draft: { type: 'boolean' }}
+            }
+          ]
+        },
+        {
+          path: '/tabs/:tab',
+          name: 'tab',
+          component,
+          params: { tab: { type: 'enum', values: ['info', 'settings'] }}
+        },
+        { path: '/days/:day', name: 'day', component, params: { day: Day }},
+        { path: '/prices/:price?', name: 'price', component, params: { price: 'number' }},
+        { path: '*', name: 'not-found', component }
+      ])
+    })
+
+    it('coerces matched params', function () {
+      expect(matcher.match('/users/42').params).toEqual({ id: 42 })
+      expect(matcher.match('/u/42').params).toEqual({ id: 42 })
+      expect(matcher.match('/users/42/posts/true').params).toEqual({ id: 42, draft: true })
+      expect(matcher.match('/tabs/info').params).toEqual({ tab: 'info' })
+      expect(matcher.match('/prices/1.5').params).toEqual({ price: 1.5 })
+      expect(matcher.match('/prices').name).toBe('price')
+      const { params } = matcher.match('/days/2020-01-02')
+      expect(params.day instanceof Date).toBe(true)
+      expect(Day.stringify(params.day)).toBe('2020-01-02')
+    })
+
+    it('rejects paths with invalid params', function () {
+      expect(matcher.match('/users/abc').name).toBe('not-found')
+      expect(matcher.match('/users/1.5').name).toBe('not-found')
+      expect(matcher.match('/u/abc').name).toBe('not-found')
+      expect(matcher.match('/users/1/posts/maybe').name).toBe('not-found')
+      expect(matcher.match('/tabs/other').name).toBe('not-found')
+      expect(matcher.match('/days/never').name).toBe('not-found')
+    })
+
+    it('stringifies params when resolving named routes', function () {
+      const route = matcher.match({ name: 'day', params: { day: new Date('2020-01-02') }})
+      expect(route.path).toBe('/days/2020-01-02')
+      expect(route.params.day instanceof Date).toBe(true)
+
+      const user = matcher.match({ name: 'posts', params: { id: 3, draft: false }})
+      expect(user.path).toBe('/users/3/posts/false')
+      expect(user.params).toEqual({ id: 3, draft: false })
+    })
+
+    it('coerces string params of named routes', function () {
+      expect(matcher.match({ name: 'user', params: { id: '7' }}).params).toEqual({ id: 7 })
+    })
+
+    it('keeps params of the current route for named routes', function () {
+      const current = matcher.match('/users/42')
+      const route = matcher.match({ name: 'posts', params: { draft: true }}, current)
+      expect(route.path).toBe('/users/42/posts/true')
+      expect(route.params).toEqual({ id: 42, draft: true })
+    })
+
+    it('in development, warns about invalid params of named routes', function () {
+      process.env.NODE_ENV = 'development'
+      const route = matcher.match({ name: 'user', params: { id: 'abc' }})
+      expect(route.matched.length).toBe(0)
+      expect(console.warn).toHaveBeenCalled()
+      expect(console.warn.calls.argsFor(0)[0]).toMatch(
+        'invalid params for named route "user"'
+      )
+    })
+  })
+
+  describe('query types', function () {
+    const component = { name: 'fake' }
+    let matcher
+
+    beforeEach(function () {
+      matcher = createMatcher([
+        {
+          path: '/orders',
+          name: 'orders',
+          component,
+          query: {
+            page: { type: 'integer', default: 1 },
+            sort: { type: 'enum', values: ['date', 'total'], default: 'date' },
+            status: { array: true, default: [] },
+            q: 'string'
+          },
+          children: [
+            { path: 'archived', name: 'archived', component, query: { year: 'integer' }}
+          ]
+        }
+      ])
+    })
+
+    it('coerces the query and adds the defaults', function () {
+      const route = matcher.match('/orders?page=3&status=open&q=tea')
+      expect(route.query).toEqual({ page: 3, sort: 'date', status: ['open'], q: 'tea' })
+      expect(route.fullPath).toBe('/orders?page=3&status=open&q=tea')
+      expect(matcher.match('/orders?status=open&status=paid&other=1').query).toEqual({
+        page: 1, sort: 'date', status: ['open', 'paid'], other: '1'
+      })
+    })
+
+    it('leaves the defaults out of the full path', function () {
+      const route = matcher.match({ name: 'orders', query: { page: 1, sort: 'total', status: [] }})
+      expect(route.query).toEqual({ page: 1, sort: 'total', status: [] })
+      expect(route.fullPath).toBe('/orders?sort=total')
+      expect(matcher.match('/orders?page=1&sort=date').fullPath).toBe('/orders')
+    })
+
+    it('inherits the query types of the parent', function () {
+      const route = matcher.match('/orders/archived?year=2020&page=2')
+      expect(route.query).toEqual({ page: 2, sort: 'date', status: [], year: 2020 })
+    })
+
+    it('in development, warns about invalid values and uses the defaults', function () {
+      process.env.NODE_ENV = 'development'
+      const route = matcher.match('/orders?page=abc&page=2&sort=name')
+      expect(route.query).toEqual({ page: 1, sort: 'date', status: [] })
+      expect(route.fullPath).toBe('/orders')
+      expect(console.warn).toHaveBeenCalled()
+      expect(console.warn.calls.argsFor(0)[0]).toContain(
+        'invalid value for query "page" in route with path "/orders": ["abc","2"]'
+      )
+    })
+  })
+
   it('in development, has logged a warning if a named route does not exist', function () {
     process.env.NODE_ENV = 'development'
     const { name, matched } = match({ name: 'bar' }, routes[0])
@@ -0,0 +1,120 @@
+/*eslint-disable no-undef*/
+import { createRouteMap } from '../../../src/create-route-map'
+import { createRouteTrie } from '../../../src/create-route-trie'
+
+const component = { name: 'fake' }
+
+const routes = [
+  { path: '/', component },
+  { path: '/foo', component },
+  { path: '/foo/', component, pathToRegexpOptions: { strict: true }},
+  { path: '/Case', component, caseSensitive: true },
+  { path: '/users/:id', component },
+  { path: '/users/new', component },
+  { path: '/users/:id/posts/:postId?', component },
+  { path: '/optional/:a?/end', component },
+  { path: '/numbers/:n(\\d+)', component },
+  { path: '/files/:path+', component },
+  { path: '/files/:path*/raw', component },
+  { path: '/file.:ext', component },
+  { path: '/partial-:slug', component },
+  { path: '/prefix', component, pathToRegexpOptions: { end: false }},
+  { path: '/error/*', component },
+  {
+    path: '/parent',
+    component,
+    alias: '/alias',
+    children: [
+      { path: '', component },
+      { path: 'child/:id', component },
+      { path: '/absolute', component }
+    ]
+  },
+  { path: '*', component }
+]
+
+const paths = [
+  '/',
+  '',
+  '//',
+  '/foo',
+  '/foo/',
+  '/FOO',
+  '/foo//',
+  '/case',
+  '/Case',
+  '/users/1',
+  '/users/new',
+  '/users/',
+  '/users/1/posts',
+  '/users/1/posts/2',
+  '/users/1/posts/2/3',
+  '/optional/end',
+  '/optional/x/end',
+  '/optional/x/y/end',
+  '/numbers/12',
+  '/numbers/abc',
+  '/files',
+  '/files/a/b/c',
+  '/files/raw',
+  '/files/a/b/raw',
+  '/file.txt',
+  '/partial-a',
+  '/prefix',
+  '/prefix/deep/path',
+  '/prefixed',
+  '/error',
+  '/error/a/b',
+  '/parent',
+  '/parent/',
+  '/parent/child/1',
+  '/alias',
+  '/alias/child/2',
+  '/absolute',
+  '/%C3%A9t%C3%A9',
+  '/not/found/at/all'
+]
+
+describe('Creating Route Trie', function () {
+  let maps, trie
+
+  beforeAll(function () {
+    spyOn(console, 'warn')
+    maps = createRouteMap(routes)
+    trie = createRouteTrie(maps.pathList, maps.pathMap)
+  })
+
+  function scan (path) {
+    const { pathList, pathMap } = maps
+    for (let i = 0; i < pathList.length; i++) {
+      if (pathMap[pathList[i]].regex.test(path)) return pathMap[pathList[i]]
+    }
+  }
+
+  function lookup (path) {
+    return trie.lookup(path).filter(record => record.regex.test(path))[0]
+  }
+
+  it('finds the same record as a linear scan', function () {
+    paths.forEach(path => {
+      expect(lookup(path)).toBe(scan(path), `for path "${path}"`)
+    })
+  })
+
+  it('returns candidates in the order of pathList', function () {
+    const { pathList } = maps
+    paths.forEach(path => {
+      const indexes = trie.lookup(path).map(record => pathList.indexOf(record.path))
+      expect(indexes).toEqual(indexes.slice().sort((a, b) => a - b))
+    })
+  })
+
+  it('does not return records of unrelated static segments', function () {
+    const candidates = trie.lookup('/users/1').map(record => record.path)
+    expect(candidates).toContain('/users/:id')
+    expect(candidates).toContain('*')
+    expect(candidates).not.toContain('/foo')
+    expect(candidates).not.toContain('/users/new')
+    expect(candidates).not.toContain('/parent/child/:id')
+  })
+})
@@ -0,0 +1,303 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+import { NavigationFailureType } from '../../../src/util/errors'
+
+Vue.use(VueRouter)
+
+describe('navigation guards returning values', () => {
+  function factory () {
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: {}},
+        { path: '/foo', component: {}},
+        { path: '/login', component: {}}
+      ]
+    })
+    return router.push('/').then(() => router)
+  }
+
+  it('confirms the navigation when nothing is returned', done => {
+    factory().then(router => {
+      router.beforeEach((to, from) => {})
+      return router.push('/foo').then(route => {
+        expect(route.path).toBe('/foo')
+        done()
+      })
+    })
+  })
+
+  it('aborts the navigation when false is returned', done => {
+    factory().then(router => {
+      router.beforeEach(() => false)
+      return router.push('/foo').catch(err => {
+        expect(VueRouter.isNavigationFailure(err, NavigationFailureType.aborted)).toBe(true)
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      })
+    })
+  })
+
+  it('redirects when a location is returned', done => {
+    factory().then(router => {
+      router.beforeEach(to => to.path === '/foo' ? { path: '/login' } : undefined)
+      router.push('/foo').catch(err => {
+        expect(VueRouter.isNavigationFailure(err, NavigationFailureType.redirected)).toBe(true)
+        expect(router.currentRoute.path).toBe('/login')
+        done()
+      })
+    })
+  })
+
+  it('aborts with the returned error', done => {
+    const err = new Error('denied')
+    const onError = jasmine.createSpy('error')
+    factory().then(router => {
+      router.onError(onError)
+      router.beforeEach(() => err)
+      return router.push('/foo').catch(error => {
+        expect(error).toBe(err)
+        expect(onError).toHaveBeenCalledWith(err)
+        done()
+      })
+    })
+  })
+
+  it('waits for returned promises', done => {
+    const err = new Error('rejected')
+    factory().then(router => {
+      let fail = false
+      router.onError(() => {})
+      router.beforeEach(to => Promise.resolve().then(() => {
+        if (fail) throw err
+        return to.path === '/foo' ? '/login' : true
+      }))
+      return router.push('/foo').catch(err => {
+        expect(VueRouter.isNavigationFailure(err, NavigationFailureType.redirected)).toBe(true)
+        // wait for the redirection
+        return new Promise(resolve => setTimeout(resolve, 10))
+      }).then(() => {
+        expect(router.currentRoute.path).toBe('/login')
+        fail = true
+        return router.push('/')
+      }).catch(error => {
+        expect(error).toBe(err)
+        expect(router.currentRoute.path).toBe('/login')
+        done()
+      })
+    })
+  })
+
+  it('still supports guards calling next', done => {
+    factory().then(router => {
+      router.beforeEach((to, from, next) => {
+        setTimeout(next, 0)
+        return 1
+      })
+      router.beforeEach((to, from, next) => Promise.resolve().then(() => next()))
+      return router.push('/foo').then(route => {
+        expect(route.path).toBe('/foo')
+        done()
+      })
+    })
+  })
+
+  it('supports in-component guards without next', done => {
+    let allow = false
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: {}},
+        {
+          path: '/foo',
+          component: {
+            beforeRouteEnter (to, from) {
+              return Promise.resolve(allow)
+            }
+          }
+        }
+      ]
+    })
+
+    router.push('/foo').then(() => {
+      done.fail('navigation should be aborted')
+    }, err => {
+      expect(VueRouter.isNavigationFailure(err, NavigationFailureType.aborted)).toBe(true)
+      allow = true
+      return router.push('/foo')
+    }).then(route => {
+      expect(route.path).toBe('/foo')
+      done()
+    })
+  })
+
+  it('warns when a guard with next neither calls it nor returns a value', done => {
+    spyOn(console, 'warn')
+    factory().then(router => {
+      router.beforeEach((to, from, next) => Promise.resolve())
+      return router.push('/foo').then(route => {
+        expect(route.path).toBe('/foo')
+        expect(console.warn).toHaveBeenCalledWith(
+          jasmine.stringMatching('neither called next\\(\\) nor returned a value')
+        )
+        done()
+      })
+    })
+  })
+
+  describe('that return without calling next', () => {
+    afterEach(() => {
+      jasmine.clock().uninstall()
+    })
+
+    it('warns when the navigation is still waiting for the guard', done => {
+      spyOn(console, 'warn')
+      factory().then(router => {
+        jasmine.clock().install()
+        router.beforeEach(function forgetful (to, from, next) {})
+        router.push('/foo').catch(() => {})
+        jasmine.clock().tick(4999)
+        expect(console.warn).not.toHaveBeenCalled()
+        jasmine.clock().tick(1)
+        expect(console.warn).toHaveBeenCalledWith(jasmine.stringMatching(
+          'The navigation from "/" to "/foo" is still waiting for the beforeEach guard "forgetful" to call next\\(\\)'
+        ))
+        done()
+      })
+    })
+
+    it('does not warn when next is called later or the navigation is cancelled', done => {
+      spyOn(console, 'warn')
+      factory().then(router => {
+        jasmine.clock().install()
+        let guardNext
+        router.beforeEach((to, from, next) => {
+          guardNext = next
+        })
+        const pending = router.push('/foo')
+        jasmine.clock().tick(1000)
+        guardNext()
+        return pending.then(route => {
+          expect(route.path).toBe('/foo')
+          router.push('/login').catch(() => {})
+          jasmine.clock().tick(1000)
+          // cancels the navigation to /login
+          router.push('/').catch(() => {})
+          guardNext()
+          jasmine.clock().tick(10000)
+          expect(console.warn).not.toHaveBeenCalled()
+          done()
+        })
+      })
+    })
+  })
+})
+
+describe('afterEach hooks', () => {
+  function factory () {
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: {}},
+        { path: '/foo', component: {}},
+        { path: '/login', component: {}}
+      ]
+    })
+    return router.push('/').then(() => router)
+  }
+
+  it('receives no failure for successful navigations', done => {
+    const hook = jasmine.createSpy('after')
+    factory().then(router => {
+      router.afterEach(hook)
+      return router.push('/foo')
+    }).then(route => {
+      expect(hook).toHaveBeenCalledTimes(1)
+      expect(hook.calls.argsFor(0)[0]).toBe(route)
+      expect(hook.calls.argsFor(0)[1].path).toBe('/')
+      expect(hook.calls.argsFor(0)[2]).toBeUndefined()
+      done()
+    })
+  })
+
+  it('receives the failure of aborted and duplicated navigations', done => {
+    const hook = jasmine.createSpy('after')
+    factory().then(router => {
+      router.afterEach(hook)
+      router.beforeEach(to => to.path !== '/foo')
+      return router.push('/foo').catch(aborted => {
+        expect(hook).toHaveBeenCalledWith(aborted.to, router.currentRoute, aborted)
+        expect(aborted.to.path).toBe('/foo')
+        return router.push('/')
+      }).catch(duplicated => {
+        expect(VueRouter.isNavigationFailure(duplicated, NavigationFailureType.duplicated)).toBe(true)
+        expect(hook).toHaveBeenCalledTimes(2)
+        expect(hook.calls.argsFor(1)[2]).toBe(duplicated)
+        done()
+      })
+    })
+  })
+
+  it('is called for both the redirected and the redirecting navigations', done => {
+    const hook = jasmine.createSpy('after')
+    factory().then(router => {
+      router.afterEach(hook)
+      router.beforeEach(to => to.path === '/foo' ? '/login' : true)
+      router.push('/foo').catch(err => {
+        expect(VueRouter.isNavigationFailure(err, NavigationFailureType.redirected)).toBe(true)
+        // wait for the redirection
+        setTimeout(() => {
+          expect(hook).toHaveBeenCalledTimes(2)
+          expect(hook.calls.argsFor(0)[0].path).toBe('/foo')
+          expect(hook.calls.argsFor(0)[2]).toBe(err)
+          expect(hook.calls.argsFor(1)[0].path).toBe('/login')
+          expect(hook.calls.argsFor(1)[2]).toBeUndefined()
+          done()
+        }, 10)
+      })
+    })
+  })
+
+  it('is not called when adding or removing routes keeps the current route', done => {
+    const hook = jasmine.createSpy('after')
+    factory().then(router => {
+      router.afterEach(hook)
+      const remove = router.addRoute({ path: '/bar', name: 'bar', component: {}})
+      remove()
+      router.addRoute({ path: '/baz', name: 'baz', component: {}})
+      router.removeRoute('baz')
+      router.addRoutes([{ path: '/qux', component: {}}])
+      expect(hook).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('is called when an added route matches the current location', done => {
+    const hook = jasmine.createSpy('after')
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [{ path: '*', name: 'not-found', component: {}}]
+    })
+    router.push('/bar').then(() => {
+      router.afterEach(hook)
+      router.addRoute({ path: '/bar', name: 'bar', component: {}})
+      expect(hook).toHaveBeenCalledTimes(1)
+      expect(hook.calls.argsFor(0)[0].name).toBe('bar')
+      expect(hook.calls.argsFor(0)[2]).toBeUndefined()
+      done()
+    })
+  })
+
+  it('is not called for errors', done => {
+    const hook = jasmine.createSpy('after')
+    factory().then(router => {
+      router.onError(() => {})
+      router.afterEach(hook)
+      router.beforeEach(() => new Error('failed'))
+      return router.push('/foo').catch(() => {
+        expect(hook).not.toHaveBeenCalled()
+        done()
+      })
+    })
+  })
+})
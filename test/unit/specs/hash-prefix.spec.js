@@ -0,0 +1,89 @@
+import path from 'path'
+import { hashToPath, normalizeHashPrefix } from '../../../src/history/hash'
+
+describe('hash prefix', () => {
+  it('normalizes the prefix option', () => {
+    expect(normalizeHashPrefix(undefined)).toBe('')
+    expect(normalizeHashPrefix('#/')).toBe('')
+    expect(normalizeHashPrefix('#!/')).toBe('!')
+    expect(normalizeHashPrefix('!')).toBe('!')
+    expect(normalizeHashPrefix('#app=/')).toBe('app=')
+  })
+
+  it('converts the hashes of other formats to the path', () => {
+    expect(hashToPath('', '!')).toBe('/')
+    expect(hashToPath('/foo?a=1', '!')).toBe('/foo?a=1')
+    expect(hashToPath('!foo', '!')).toBe('/foo')
+    expect(hashToPath('app=foo', 'app=')).toBe('/foo')
+    expect(hashToPath('!/foo', 'app=')).toBe('/foo')
+    expect(hashToPath('!/foo', '')).toBe('/foo')
+    expect(hashToPath('foo', '')).toBe('/foo')
+  })
+})
+
+describe('hash mode with a prefix', () => {
+  const srcDir = path.resolve(__dirname, '../../../src')
+
+  // the support of pushState is checked when the modules are loaded
+  function clearModules () {
+    Object.keys(require.cache).forEach(id => {
+      if (id.indexOf(srcDir) === 0) {
+        delete require.cache[id]
+      }
+    })
+  }
+
+  function loadInBrowser (href) {
+    global.window = {
+      navigator: { userAgent: 'Chrome' },
+      location: { href },
+      history: {
+        state: null,
+        pushState: jasmine.createSpy('pushState'),
+        replaceState: jasmine.createSpy('replaceState').and.callFake((state, title, url) => {
+          window.location.href = url
+        })
+      },
+      addEventListener () {},
+      removeEventListener () {}
+    }
+    global.document = { querySelector: () => null }
+    clearModules()
+    return require('../../../src/index').default
+  }
+
+  afterEach(() => {
+    delete global.window
+    delete global.document
+    clearModules()
+  })
+
+  it('replaces the hashes of other formats with the prefix', () => {
+    let BrowserRouter = loadInBrowser('https://example.com/#/foo')
+    let router = new BrowserRouter({ mode: 'hash', hashPrefix: '#!/' })
+    expect(window.history.replaceState.calls.mostRecent().args[2]).toBe('https://example.com/#!/foo')
+    expect(router.history.getCurrentLocation()).toBe('/foo')
+
+    BrowserRouter = loadInBrowser('https://example.com/page#!/foo?a=1')
+    router = new BrowserRouter({ mode: 'hash', hashPrefix: 'app=' })
+    expect(window.history.replaceState.calls.mostRecent().args[2]).toBe('https://example.com/page#app=/foo?a=1')
+    expect(router.history.getCurrentLocation()).toBe('/foo?a=1')
+  })
+
+  it('keeps the hashes with the prefix', () => {
+    const BrowserRouter = loadInBrowser('https://example.com/#!/foo')
+    const router = new BrowserRouter({ mode: 'hash', hashPrefix: '!' })
+    expect(window.history.replaceState).not.toHaveBeenCalled()
+    expect(router.history.getCurrentLocation()).toBe('/foo')
+  })
+
+  it('adds the prefix to the hrefs', () => {
+    let BrowserRouter = loadInBrowser('https://example.com/#!/')
+    let router = new BrowserRouter({ mode: 'hash', hashPrefix: '#!/', routes: [{ path: '/bar', component: {}}] })
+    expect(router.resolve('/bar?a=1').href).toBe('#!/bar?a=1')
+
+    BrowserRouter = loadInBrowser('https://example.com/app/#app=/')
+    router = new BrowserRouter({ mode: 'hash', base: '/app/', hashPrefix: 'app=', routes: [{ path: '/bar', component: {}}] })
+    expect(router.resolve({ path: '/bar', hash: '#top' }).href).toBe('/app/#app=/bar#top')
+  })
+})
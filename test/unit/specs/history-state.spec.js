@@ -0,0 +1,85 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+
+Vue.use(VueRouter)
+
+describe('history state', () => {
+  function factory (options) {
+    return new VueRouter(Object.assign({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: {}},
+        { path: '/form', component: {}},
+        { path: '/done', component: {}}
+      ]
+    }, options))
+  }
+
+  function go (router, n) {
+    return new Promise(resolve => {
+      const remove = router.afterEach(() => {
+        remove()
+        resolve()
+      })
+      router.go(n)
+    })
+  }
+
+  it('stores the state of each entry', done => {
+    const router = factory()
+    router.push('/').then(() => {
+      expect(router.historyState).toBe(null)
+      return router.push({ path: '/form', state: { tab: 2 }})
+    }).then(() => {
+      expect(router.historyState).toEqual({ tab: 2 })
+      return router.push('/done')
+    }).then(() => {
+      expect(router.historyState).toBe(null)
+      return go(router, -1)
+    }).then(() => {
+      expect(router.currentRoute.path).toBe('/form')
+      expect(router.historyState).toEqual({ tab: 2 })
+      return go(router, -1)
+    }).then(() => {
+      expect(router.historyState).toBe(null)
+      done()
+    })
+  })
+
+  it('replaces the state of the current entry without navigating', done => {
+    const router = factory()
+    const afterEach = jasmine.createSpy('afterEach')
+    router.push('/').then(() => {
+      return router.replace({ path: '/form', state: { draft: '' }})
+    }).then(() => {
+      router.afterEach(afterEach)
+      router.replaceHistoryState({ draft: 'Hello' })
+      expect(router.historyState).toEqual({ draft: 'Hello' })
+      expect(afterEach).not.toHaveBeenCalled()
+      return router.push('/done')
+    }).then(() => {
+      return go(router, -1)
+    }).then(() => {
+      expect(router.historyState).toEqual({ draft: 'Hello' })
+      done()
+    })
+  })
+
+  it('saves the state with the stack', done => {
+    const saved = {}
+    const storage = {
+      getItem: key => saved[key],
+      setItem: (key, value) => { saved[key] = value }
+    }
+    const router = factory({ storage })
+    router.push({ path: '/form', state: { tab: 2 }}).then(() => {
+      const restored = factory({ storage })
+      expect(restored.history.getCurrentState()).toEqual({ state: { tab: 2 }})
+      restored.onReady(() => {
+        expect(restored.historyState).toEqual({ tab: 2 })
+        done()
+      })
+      new Vue({ router: restored })
+    })
+  })
+})
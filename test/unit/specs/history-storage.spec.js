@@ -0,0 +1,88 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+
+Vue.use(VueRouter)
+
+describe('abstract history storage', () => {
+  const routes = [
+    { path: '/', component: {}},
+    { path: '/foo', component: {}},
+    { path: '/bar', component: {}}
+  ]
+
+  function createStorage (saved = {}) {
+    return {
+      saved,
+      getItem: key => saved[key],
+      setItem: (key, value) => { saved[key] = value }
+    }
+  }
+
+  function entries (storage, key = 'vue-router:history') {
+    return JSON.parse(storage.saved[key])
+  }
+
+  it('saves the stack after each navigation', done => {
+    const storage = createStorage()
+    const router = new VueRouter({ mode: 'abstract', routes, storage })
+    router.push('/').then(() => {
+      return router.push('/foo?q=1')
+    }).then(() => {
+      return router.replace('/bar')
+    }).then(() => {
+      expect(entries(storage)).toEqual({
+        index: 1,
+        entries: [
+          { fullPath: '/', state: {}},
+          { fullPath: '/bar', state: {}}
+        ]
+      })
+      done()
+    })
+  })
+
+  it('saves the index when going back', done => {
+    const storage = createStorage()
+    const router = new VueRouter({ mode: 'abstract', routes, storage, storageKey: 'app' })
+    router.push('/').then(() => router.push('/foo')).then(() => {
+      router.afterEach(() => {
+        expect(entries(storage, 'app').index).toBe(0)
+        done()
+      })
+      router.go(-1)
+    })
+  })
+
+  it('restores the stack and visits the current entry on init', done => {
+    const storage = createStorage({
+      'vue-router:history': JSON.stringify({
+        index: 1,
+        entries: [
+          { fullPath: '/', state: {}},
+          { fullPath: '/foo', state: {}},
+          { fullPath: '/bar', state: {}}
+        ]
+      })
+    })
+    const router = new VueRouter({ mode: 'abstract', routes, storage })
+    expect(router.history.stack.map(route => route.fullPath)).toEqual(['/', '/foo', '/bar'])
+    expect(router.history.index).toBe(1)
+    router.onReady(() => {
+      expect(router.currentRoute.fullPath).toBe('/foo')
+      router.afterEach(to => {
+        expect(to.fullPath).toBe('/')
+        done()
+      })
+      router.go(-1)
+    })
+    new Vue({ router })
+  })
+
+  it('ignores invalid saved values', () => {
+    spyOn(console, 'warn')
+    const storage = createStorage({ 'vue-router:history': '{' })
+    const router = new VueRouter({ mode: 'abstract', routes, storage })
+    expect(router.history.stack).toEqual([])
+    expect(console.warn).toHaveBeenCalled()
+  })
+})
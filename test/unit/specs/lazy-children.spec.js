@@ -0,0 +1,144 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+
+Vue.use(VueRouter)
+
+describe('lazy child routes', () => {
+  const Billing = { name: 'Billing' }
+  const Invoices = { name: 'Invoices' }
+  const Invoice = { name: 'Invoice' }
+  const NotFound = { name: 'NotFound' }
+
+  function factory (loadChildren) {
+    return new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: {}},
+        {
+          path: '/billing',
+          alias: '/money',
+          component: Billing,
+          children: loadChildren
+        },
+        { path: '*', component: NotFound }
+      ]
+    })
+  }
+
+  function childRoutes () {
+    return Promise.resolve({
+      default: [
+        { path: '', name: 'invoices', component: Invoices },
+        { path: ':id', name: 'invoice', component: Invoice }
+      ]
+    })
+  }
+
+  it('loads the children on the first navigation into the parent', done => {
+    const loadChildren = jasmine.createSpy('children').and.callFake(childRoutes)
+    const router = factory(loadChildren)
+
+    router.push('/').then(() => {
+      expect(loadChildren).not.toHaveBeenCalled()
+      return router.push('/billing/42')
+    }).then(route => {
+      expect(loadChildren).toHaveBeenCalledTimes(1)
+      expect(route.name).toBe('invoice')
+      expect(route.params).toEqual({ id: '42' })
+      expect(router.currentRoute).toBe(route)
+      expect(router.getMatchedComponents()).toEqual([Billing, Invoice])
+      expect(router.hasRoute('invoices')).toBe(true)
+      return router.push('/billing')
+    }).then(route => {
+      expect(loadChildren).toHaveBeenCalledTimes(1)
+      expect(route.name).toBe('invoices')
+      done()
+    })
+  })
+
+  it('loads the children when navigating through an alias', done => {
+    const router = factory(childRoutes)
+
+    router.push('/money/42').then(route => {
+      expect(route.path).toBe('/money/42')
+      expect(route.matched.map(record => record.path)).toEqual(['/billing', '/billing/:id'])
+      expect(route.params).toEqual({ id: '42' })
+      done()
+    })
+  })
+
+  it('matches the paths with the prefix compiled with the record', done => {
+    const router = factory(childRoutes)
+    const records = router.getRoutes().filter(record => record.loadChildren)
+    expect(records.map(record => record.path)).toEqual(['/billing', '/money'])
+    records.forEach(record => spyOn(record.prefixRegex, 'test').and.callThrough())
+
+    router.push('/').then(() => {
+      records.forEach(record => expect(record.prefixRegex.test).toHaveBeenCalledWith('/'))
+      expect(router.matcher.getLazyRecords('/billingx')).toEqual([])
+      expect(router.matcher.getLazyRecords('/BILLING/42')).toEqual([records[0]])
+      expect(router.matcher.getLazyRecords('/money/42')).toEqual([records[0]])
+      done()
+    })
+  })
+
+  it('loads the children when a catch-all route redirects', done => {
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/billing', component: Billing, children: childRoutes },
+        { path: '/404', component: NotFound },
+        { path: '*', redirect: '/404' }
+      ]
+    })
+
+    router.push('/billing/42?tab=items').then(route => {
+      expect(route.name).toBe('invoice')
+      expect(route.fullPath).toBe('/billing/42?tab=items')
+      return router.push('/missing')
+    }).then(route => {
+      expect(route.path).toBe('/404')
+      done()
+    })
+  })
+
+  it('runs the guards with the rematched route', done => {
+    const router = factory(childRoutes)
+    const guard = jasmine.createSpy('guard').and.callFake((to, from, next) => next())
+    router.beforeEach(guard)
+
+    router.push('/billing/1').then(() => {
+      expect(guard).toHaveBeenCalledTimes(1)
+      expect(guard.calls.argsFor(0)[0].name).toBe('invoice')
+      done()
+    })
+  })
+
+  it('aborts the navigation when the children fail to load', done => {
+    const err = new Error('chunk failed')
+    const router = factory(() => Promise.reject(err))
+    const onError = jasmine.createSpy('error')
+    router.onError(onError)
+    spyOn(console, 'warn')
+
+    router.push('/billing/1').catch(error => {
+      expect(error).toBe(err)
+      expect(onError).toHaveBeenCalledWith(err)
+      expect(router.currentRoute.path).toBe('/')
+      done()
+    })
+  })
+
+  it('is cancelled by a new navigation', done => {
+    const router = factory(childRoutes)
+
+    const pending = router.push('/billing/1')
+    router.push('/').then(() => {
+      pending.catch(err => {
+        expect(VueRouter.isNavigationFailure(err, VueRouter.NavigationFailureType.cancelled)).toBe(true)
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,130 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+import { NavigationFailureType } from '../../../src/util/errors'
+
+Vue.use(VueRouter)
+
+describe('route loaders', () => {
+  function factory (loaders) {
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: {}},
+        {
+          path: '/users/:userId',
+          component: {},
+          loader: loaders.user,
+          children: [
+            { path: 'posts/:postId', component: {}, loader: loaders.post },
+            { path: 'settings', component: {}}
+          ]
+        }
+      ]
+    })
+    return router.push('/').then(() => router)
+  }
+
+  it('runs the loaders of the activated records in parallel', done => {
+    const calls = []
+    const resolves = {}
+    const load = name => (to, { from, signal }) => {
+      calls.push(name)
+      expect(from.path).toBe('/')
+      expect(signal instanceof AbortSignal).toBe(true) // eslint-disable-line no-undef
+      return new Promise(resolve => { resolves[name] = resolve })
+    }
+    factory({ user: load('user'), post: load('post') }).then(router => {
+      const pending = router.push('/users/1/posts/2')
+      setTimeout(() => {
+        // both loaders started before any of them resolved
+        expect(calls).toEqual(['user', 'post'])
+        resolves.post('post 2')
+        resolves.user('user 1')
+        expect(router.currentRoute.loaderData).toBeUndefined()
+      }, 0)
+      return pending.then(route => {
+        expect(route.loaderData).toEqual(['user 1', 'post 2'])
+        expect(router.currentRoute).toBe(route)
+        done()
+      })
+    })
+  })
+
+  it('does not run the loaders of reused records again', done => {
+    const user = jasmine.createSpy('user').and.callFake(to => `user ${to.params.userId}`)
+    const post = jasmine.createSpy('post').and.callFake(to => `post ${to.params.postId}`)
+    factory({ user, post }).then(router => {
+      return router.push('/users/1/posts/1').then(() => {
+        return router.push('/users/1/posts/2')
+      }).then(route => {
+        expect(user).toHaveBeenCalledTimes(1)
+        expect(post).toHaveBeenCalledTimes(2)
+        expect(route.loaderData).toEqual(['user 1', 'post 2'])
+        return router.push('/users/2/settings')
+      }).then(route => {
+        expect(user).toHaveBeenCalledTimes(2)
+        expect(route.loaderData).toEqual(['user 2', undefined])
+        // the records are not written
+        expect(router.getRoutes().some(record => 'loaderData' in record)).toBe(false)
+        done()
+      })
+    })
+  })
+
+  it('runs the loader of the deepest record again when the query changes', done => {
+    const user = jasmine.createSpy('user').and.callFake(to => `user ${to.params.userId}`)
+    const post = jasmine.createSpy('post').and.callFake(to => `post ${to.params.postId} ${to.query.page || 1}`)
+    factory({ user, post }).then(router => {
+      return router.push('/users/1/posts/1').then(() => {
+        return router.push('/users/1/posts/1?page=2')
+      }).then(route => {
+        expect(user).toHaveBeenCalledTimes(1)
+        expect(post).toHaveBeenCalledTimes(2)
+        expect(route.loaderData).toEqual(['user 1', 'post 1 2'])
+        // a hash change keeps the data
+        return router.push('/users/1/posts/1?page=2#comments')
+      }).then(route => {
+        expect(post).toHaveBeenCalledTimes(2)
+        expect(route.loaderData).toEqual(['user 1', 'post 1 2'])
+        done()
+      })
+    })
+  })
+
+  it('aborts the loaders of a superseded navigation', done => {
+    let loaderSignal
+    const user = (to, { signal }) => {
+      loaderSignal = signal
+      return new Promise(resolve => setTimeout(() => resolve('stale'), 10))
+    }
+    factory({ user }).then(router => {
+      const pending = router.push('/users/1/settings').catch(err => err)
+      return router.push('/').catch(err => {
+        expect(VueRouter.isNavigationFailure(err, NavigationFailureType.duplicated)).toBe(true)
+        return pending
+      }).then(err => {
+        expect(VueRouter.isNavigationFailure(err, NavigationFailureType.cancelled)).toBe(true)
+        expect(loaderSignal.aborted).toBe(true)
+        setTimeout(() => {
+          expect(router.currentRoute.loaderData).toBeUndefined()
+          done()
+        }, 20)
+      })
+    })
+  })
+
+  it('aborts the navigation when a loader fails', done => {
+    const err = new Error('not found')
+    const onError = jasmine.createSpy('error')
+    spyOn(console, 'warn')
+    factory({ user: () => Promise.reject(err) }).then(router => {
+      router.onError(onError)
+      return router.push('/users/1/settings').catch(error => {
+        expect(error).toBe(err)
+        expect(onError).toHaveBeenCalledWith(err)
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,125 @@
+import Vue from 'vue'
+import { createRenderer } from 'vue-server-renderer'
+import VueRouter from '../../../src/index'
+
+Vue.use(VueRouter)
+
+describe('modal routes', () => {
+  const view = text => ({ render: h => h('div', text) })
+  const { renderToString } = createRenderer()
+
+  function factory () {
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: view('home') },
+        {
+          path: '/photos',
+          component: { render: h => h('div', ['photos ', h('router-view')]) },
+          children: [
+            { path: ':id', component: view('photo') }
+          ]
+        },
+        { path: '/login', components: { default: view('login page'), modal: view('login dialog') }}
+      ]
+    })
+    return router.push('/photos').then(() => router)
+  }
+
+  function render (router) {
+    return renderToString(new Vue({
+      router,
+      render: h => h('div', [h('router-view'), h('router-view', { props: { name: 'modal' }})])
+    }))
+  }
+
+  function go (router, n) {
+    return new Promise(resolve => {
+      const remove = router.afterEach(() => {
+        remove()
+        resolve()
+      })
+      router.go(n)
+    })
+  }
+
+  it('keeps rendering the background in the default view', done => {
+    factory().then(router => {
+      return router.push({ path: '/login', background: true }).then(route => {
+        expect(route.path).toBe('/login')
+        expect(router.backgroundRoute.path).toBe('/photos')
+        return render(router)
+      })
+    }).then(html => {
+      expect(html).toContain('photos')
+      expect(html).toContain('login dialog')
+      expect(html).not.toContain('login page')
+      done()
+    })
+  })
+
+  it('renders the records the modal route does not share with the background', done => {
+    factory().then(router => {
+      return router.push({ path: '/photos/1', background: true }).then(() => render(router))
+    }).then(html => {
+      expect(html).toBe('<div data-server-rendered="true"><div>photos <!----></div><div>photo</div></div>')
+      done()
+    })
+  })
+
+  it('leaves the modal with normal navigations', done => {
+    factory().then(router => {
+      return router.push({ path: '/login', background: true }).then(() => {
+        return router.push('/')
+      }).then(() => {
+        expect(router.backgroundRoute).toBe(null)
+        return render(router)
+      })
+    }).then(html => {
+      expect(html).toBe('<div data-server-rendered="true"><div>home</div><!----></div>')
+      done()
+    })
+  })
+
+  it('keeps the original background when opening a modal from a modal', done => {
+    factory().then(router => {
+      return router.push({ path: '/photos/1', background: true }).then(() => {
+        return router.push({ path: '/login', background: true })
+      }).then(() => {
+        expect(router.backgroundRoute.path).toBe('/photos')
+      }).then(() => {
+        return router.push({ path: '/photos/2', background: '/' })
+      }).then(() => {
+        expect(router.backgroundRoute.path).toBe('/')
+        done()
+      })
+    })
+  })
+
+  it('restores the background when going back and forward in the history', done => {
+    factory().then(router => {
+      return router.push({ path: '/login', background: true }).then(() => {
+        return go(router, -1)
+      }).then(() => {
+        expect(router.currentRoute.path).toBe('/photos')
+        expect(router.backgroundRoute).toBe(null)
+        return go(router, 1)
+      }).then(() => {
+        expect(router.currentRoute.path).toBe('/login')
+        expect(router.backgroundRoute.path).toBe('/photos')
+        done()
+      })
+    })
+  })
+
+  it('restores the background of the current entry', done => {
+    factory().then(router => {
+      return router.push({ path: '/login', background: true }).then(() => {
+        const background = router.history.resolveBackground(router.history.getCurrentLocation())
+        expect(background.path).toBe('/photos')
+        expect(router.history.resolveBackground('/')).toBe(null)
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,203 @@
+import path from 'path'
+import VueRouter from '../../../src/index'
+import { NavigationHistory } from '../../../src/history/navigation'
+
+describe('navigation history', () => {
+  function result () {
+    return { committed: Promise.resolve(), finished: Promise.resolve() }
+  }
+
+  // a minimal window.navigation with the entries of the given urls
+  function createNavigation (urls, index) {
+    const entries = urls.map((url, i) => ({ key: `key${i}`, index: i, url, getState: () => undefined }))
+    const listeners = {}
+    return {
+      listeners,
+      currentEntry: entries[index],
+      canGoBack: index > 0,
+      canGoForward: index < entries.length - 1,
+      entries: () => entries,
+      navigate: jasmine.createSpy('navigate').and.callFake(result),
+      traverseTo: jasmine.createSpy('traverseTo').and.callFake(result),
+      addEventListener (type, fn) {
+        listeners[type] = fn
+      },
+      removeEventListener (type) {
+        delete listeners[type]
+      }
+    }
+  }
+
+  function createEvent (url, options) {
+    return Object.assign({
+      canIntercept: true,
+      downloadRequest: null,
+      formData: null,
+      navigationType: 'push',
+      userInitiated: false,
+      hashChange: false,
+      info: undefined,
+      destination: { url }
+    }, options)
+  }
+
+  let history, navigation
+
+  beforeEach(() => {
+    navigation = createNavigation([
+      'https://example.com/app/',
+      'https://example.com/app/foo',
+      'https://example.com/app/bar'
+    ], 1)
+    global.window = {
+      navigation,
+      location: { origin: 'https://example.com', pathname: '/app/foo', search: '', hash: '' },
+      history: {}
+    }
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [{ path: '/foo', component: {}}, { path: '/bar', component: {}}]
+    })
+    history = new NavigationHistory(router, '/app')
+  })
+
+  afterEach(() => {
+    delete global.window
+  })
+
+  it('intercepts the navigations of the router, of the user and of the history', () => {
+    history.navigate('/bar', 'push')
+    const { info } = navigation.navigate.calls.argsFor(0)[1]
+    expect(navigation.navigate.calls.argsFor(0)[0]).toBe('/app/bar')
+    expect(history.shouldIntercept(createEvent('https://example.com/app/bar', { info }))).toBe(true)
+    expect(history.shouldIntercept(createEvent('https://example.com/app/bar', { userInitiated: true }))).toBe(true)
+    expect(history.shouldIntercept(createEvent('https://example.com/app/', { navigationType: 'traverse' }))).toBe(true)
+    // scripts setting window.location load the page
+    expect(history.shouldIntercept(createEvent('https://example.com/app/bar'))).toBe(false)
+    expect(history.shouldIntercept(createEvent('https://example.com/app/bar', { info: {}}))).toBe(false)
+  })
+
+  it('leaves forms, reloads, downloads and other pages to the browser', () => {
+    const user = options => Object.assign({ userInitiated: true }, options)
+    const url = 'https://example.com/app/bar'
+    expect(history.shouldIntercept(createEvent(url, user({ formData: {}})))).toBe(false)
+    expect(history.shouldIntercept(createEvent(url, user({ navigationType: 'reload' })))).toBe(false)
+    expect(history.shouldIntercept(createEvent(url, user({ downloadRequest: 'bar.pdf' })))).toBe(false)
+    expect(history.shouldIntercept(createEvent(url, user({ canIntercept: false })))).toBe(false)
+    expect(history.shouldIntercept(createEvent('https://example.com/other', user()))).toBe(false)
+    expect(history.shouldIntercept(createEvent('https://example.org/app/bar', user()))).toBe(false)
+    expect(history.shouldIntercept(createEvent('https://example.com/app/bar#baz', user({ hashChange: true })))).toBe(false)
+  })
+
+  it('matches the base only at a segment boundary', () => {
+    const user = { userInitiated: true }
+    expect(history.shouldIntercept(createEvent('https://example.com/app', user))).toBe(true)
+    expect(history.shouldIntercept(createEvent('https://example.com/app?foo=1', user))).toBe(true)
+    expect(history.shouldIntercept(createEvent('https://example.com/APP/bar', user))).toBe(true)
+    expect(history.shouldIntercept(createEvent('https://example.com/application', user))).toBe(false)
+    expect(history.shouldIntercept(createEvent('https://example.com/apple/bar', user))).toBe(false)
+  })
+
+  it('transitions to the destination in the handler of the intercepted navigation', done => {
+    const afterEach = jasmine.createSpy('afterEach')
+    history.router.afterEach(afterEach)
+    history.setupListeners()
+    let options
+    const event = createEvent('https://example.com/app/bar', {
+      userInitiated: true,
+      intercept: jasmine.createSpy('intercept').and.callFake(o => {
+        options = o
+      })
+    })
+    navigation.listeners.navigate(event)
+    expect(event.intercept).toHaveBeenCalled()
+    expect(options.scroll).toBe('after-transition')
+    // the url is already updated when the handler runs
+    window.location.pathname = '/app/bar'
+    options.handler().then(() => {
+      expect(history.current.path).toBe('/bar')
+      expect(afterEach).toHaveBeenCalledWith(jasmine.objectContaining({ path: '/bar' }), jasmine.anything())
+      history.teardown()
+      expect(navigation.listeners.navigate).toBeUndefined()
+      done()
+    })
+  })
+
+  it('does not intercept the navigations left to the browser', () => {
+    history.setupListeners()
+    const event = createEvent('https://example.com/app/bar', {
+      intercept: jasmine.createSpy('intercept')
+    })
+    navigation.listeners.navigate(event)
+    expect(event.intercept).not.toHaveBeenCalled()
+    history.teardown()
+  })
+
+  it('traverses to the entry n steps away', () => {
+    expect(history.canGoBack).toBe(true)
+    expect(history.canGoForward).toBe(true)
+    history.go(-1)
+    expect(navigation.traverseTo).toHaveBeenCalledWith('key0')
+    history.go(1)
+    expect(navigation.traverseTo).toHaveBeenCalledWith('key2')
+  })
+
+  it('ignores go(n) out of the range of the entries', () => {
+    history.go(2)
+    history.go(-2)
+    expect(navigation.traverseTo).not.toHaveBeenCalled()
+  })
+})
+
+describe('navigation mode', () => {
+  const srcDir = path.resolve(__dirname, '../../../src')
+
+  // the support of the browser is checked when the modules are loaded
+  function clearModules () {
+    Object.keys(require.cache).forEach(id => {
+      if (id.indexOf(srcDir) === 0) {
+        delete require.cache[id]
+      }
+    })
+  }
+
+  function loadInBrowser (window) {
+    global.window = Object.assign({
+      navigator: { userAgent: 'Chrome' },
+      location: { origin: 'https://example.com', pathname: '/', search: '', hash: '' },
+      history: { pushState () {}, replaceState () {} }
+    }, window)
+    global.document = { querySelector: () => null }
+    clearModules()
+    return require('../../../src/index').default
+  }
+
+  afterEach(() => {
+    delete global.window
+    delete global.document
+    clearModules()
+  })
+
+  it('falls back to the history mode without the Navigation API', () => {
+    const BrowserRouter = loadInBrowser()
+    const { HTML5History } = require('../../../src/history/html5')
+    const { NavigationHistory } = require('../../../src/history/navigation')
+    const router = new BrowserRouter({ mode: 'navigation' })
+    expect(router.mode).toBe('history')
+    expect(router.history instanceof HTML5History).toBe(true)
+    expect(router.history instanceof NavigationHistory).toBe(false)
+  })
+
+  it('uses the Navigation API when the browser supports it', () => {
+    function NavigateEvent () {}
+    NavigateEvent.prototype.intercept = () => {}
+    const BrowserRouter = loadInBrowser({
+      navigation: { currentEntry: { key: 'key0', index: 0 }},
+      NavigateEvent
+    })
+    const { NavigationHistory } = require('../../../src/history/navigation')
+    const router = new BrowserRouter({ mode: 'navigation' })
+    expect(router.mode).toBe('navigation')
+    expect(router.history instanceof NavigationHistory).toBe(true)
+  })
+})
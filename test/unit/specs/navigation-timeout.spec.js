@@ -0,0 +1,146 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+import { NavigationFailureType } from '../../../src/util/errors'
+
+Vue.use(VueRouter)
+
+describe('navigation timeout', () => {
+  const Foo = { name: 'Foo' }
+
+  function factory (options) {
+    const router = new VueRouter(Object.assign({ mode: 'abstract' }, options))
+    return router.push('/').then(() => router)
+  }
+
+  function isTimedOut (err) {
+    return VueRouter.isNavigationFailure(err, NavigationFailureType.timedOut)
+  }
+
+  it('fails navigations stuck in a guard', done => {
+    const onError = jasmine.createSpy('error')
+    let guardSignal
+    factory({
+      navigationTimeout: 10,
+      routes: [{ path: '/', component: Foo }, { path: '/foo', component: Foo }]
+    }).then(router => {
+      router.onError(onError)
+      router.beforeEach(function stuckGuard (to, from, next, signal) {
+        guardSignal = signal
+      })
+      return router.push('/foo').catch(err => {
+        expect(isTimedOut(err)).toBe(true)
+        expect(err.message).toBe(
+          'Navigation timed out after 10ms from "/" to "/foo" ' +
+            'while waiting for the beforeEach guard "stuckGuard".'
+        )
+        expect(onError).toHaveBeenCalledWith(err)
+        expect(guardSignal.aborted).toBe(true)
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      })
+    })
+  })
+
+  it('reports the async component that never loaded', done => {
+    factory({
+      routes: [
+        { path: '/', component: Foo },
+        {
+          path: '/slow',
+          component: Foo,
+          children: [
+            { path: '', components: { sidebar: () => new Promise(() => {}) }}
+          ],
+          navigationTimeout: 10
+        }
+      ]
+    }).then(router => {
+      router.onError(() => {})
+      return router.push('/slow').catch(err => {
+        expect(isTimedOut(err)).toBe(true)
+        expect(err.message).toContain('the async component "sidebar" of "/slow/"')
+        done()
+      })
+    })
+  })
+
+  it('reports the beforeEnter guard of a route', done => {
+    factory({
+      navigationTimeout: 10,
+      routes: [
+        { path: '/', component: Foo },
+        { path: '/foo', component: Foo, beforeEnter: (to, from, next) => {} }
+      ]
+    }).then(router => {
+      router.onError(() => {})
+      return router.push('/foo').catch(err => {
+        expect(err.message).toContain('the beforeEnter guard of "/foo"')
+        done()
+      })
+    })
+  })
+
+  it('counts the time spent loading the lazy child routes', done => {
+    factory({
+      navigationTimeout: 60,
+      routes: [
+        { path: '/', component: Foo },
+        {
+          path: '/lazy',
+          component: Foo,
+          children: () => new Promise(resolve => {
+            setTimeout(() => resolve([{ path: 'child', name: 'child', component: Foo }]), 40)
+          })
+        }
+      ]
+    }).then(router => {
+      router.onError(() => {})
+      router.beforeEach((to, from, next) => {
+        setTimeout(next, 40)
+      })
+      return router.push('/lazy/child').then(() => {
+        done.fail('the navigation should have timed out')
+      }, err => {
+        expect(isTimedOut(err)).toBe(true)
+        expect(err.message).toContain('the beforeEach guard')
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      })
+    })
+  })
+
+  it('lets routes override the timeout of the router', done => {
+    factory({
+      navigationTimeout: 10,
+      routes: [
+        { path: '/', component: Foo },
+        { path: '/foo', component: Foo, navigationTimeout: 0 }
+      ]
+    }).then(router => {
+      router.beforeEach((to, from, next) => {
+        setTimeout(next, 30)
+      })
+      return router.push('/foo').then(route => {
+        expect(route.path).toBe('/foo')
+        done()
+      })
+    })
+  })
+
+  it('does not fail settled navigations', done => {
+    const onError = jasmine.createSpy('error')
+    factory({
+      navigationTimeout: 10,
+      routes: [{ path: '/', component: Foo }, { path: '/foo', component: Foo }]
+    }).then(router => {
+      router.onError(onError)
+      return router.push('/foo')
+    }).then(route => {
+      setTimeout(() => {
+        expect(route.path).toBe('/foo')
+        expect(onError).not.toHaveBeenCalled()
+        done()
+      }, 30)
+    })
+  })
+})
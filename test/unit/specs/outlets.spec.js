@@ -0,0 +1,128 @@
+import Vue from 'vue'
+import { createRenderer } from 'vue-server-renderer'
+import VueRouter from '../../../src/index'
+import { parseOutlets, stringifyOutlets } from '../../../src/util/outlets'
+
+Vue.use(VueRouter)
+
+describe('auxiliary outlets', () => {
+  const view = text => ({ render: h => h('div', text) })
+  const { renderToString } = createRenderer()
+
+  function factory (beforeEnter) {
+    return new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: view('home') },
+        { path: '/inbox/:id', name: 'message', component: view('message') },
+        { path: '/old-inbox/:id', redirect: '/inbox/:id' }
+      ],
+      outlets: {
+        inspector: [
+          {
+            path: '/details/:id',
+            beforeEnter,
+            component: { render: h => h('div', ['details ', h('router-view')]) },
+            children: [{ path: 'history', component: view('history') }]
+          }
+        ],
+        chat: [{ path: '/:user', component: view('chat') }]
+      }
+    })
+  }
+
+  function render (router) {
+    return renderToString(new Vue({
+      router,
+      render: h => h('div', [h('router-view'), h('router-view', { props: { name: 'inspector' }})])
+    }))
+  }
+
+  it('parses and serializes the outlets of a path', () => {
+    expect(parseOutlets('/inbox/5(inspector:details/3//chat:bob)')).toEqual({
+      path: '/inbox/5',
+      outlets: { inspector: '/details/3', chat: '/bob' }
+    })
+    expect(parseOutlets('/(chat:bob)')).toEqual({ path: '/', outlets: { chat: '/bob' }})
+    expect(parseOutlets('/wiki/Vue_(framework)')).toEqual({ path: '/wiki/Vue_(framework)', outlets: {}})
+    expect(stringifyOutlets({ inspector: '/details/3', chat: null })).toBe('(inspector:details/3)')
+    expect(stringifyOutlets({})).toBe('')
+  })
+
+  it('matches the outlets with their own routes', () => {
+    const route = factory().match('/inbox/5(inspector:details/3/history)?q=1#top')
+    expect(route.path).toBe('/inbox/5')
+    expect(route.params).toEqual({ id: '5' })
+    expect(route.fullPath).toBe('/inbox/5(inspector:details/3/history)?q=1#top')
+    expect(route.outlets.inspector.path).toBe('/details/3/history')
+    expect(route.outlets.inspector.params).toEqual({ id: '3' })
+    expect(route.outlets.inspector.matched.length).toBe(2)
+  })
+
+  it('keeps the outlets of the current route with object locations', done => {
+    const router = factory()
+    router.push('/inbox/5(inspector:details/3)').then(() => {
+      return router.push({ name: 'message', params: { id: 6 }})
+    }).then(route => {
+      expect(route.fullPath).toBe('/inbox/6(inspector:details/3)')
+      return router.push({ outlets: { inspector: null, chat: 'bob' }})
+    }).then(route => {
+      expect(route.fullPath).toBe('/inbox/6(chat:bob)')
+      return router.push('/inbox/6')
+    }).then(route => {
+      expect(route.outlets).toBeUndefined()
+      expect(route.fullPath).toBe('/inbox/6')
+      done()
+    })
+  })
+
+  it('runs the guards of the outlet routes', done => {
+    const enter = jasmine.createSpy('enter').and.callFake((to, from, next) => next())
+    const router = factory(enter)
+    router.push('/inbox/5').then(() => {
+      return router.push({ outlets: { inspector: '/details/3' }})
+    }).then(route => {
+      expect(route.outlets.inspector.path).toBe('/details/3')
+      expect(enter).toHaveBeenCalledTimes(1)
+      return router.push({ outlets: { inspector: '/details/3' }}).catch(err => err)
+    }).then(err => {
+      expect(VueRouter.isNavigationFailure(err, VueRouter.NavigationFailureType.duplicated)).toBe(true)
+      return router.push({ name: 'message', params: { id: 6 }})
+    }).then(() => {
+      // the outlet route is reused
+      expect(enter).toHaveBeenCalledTimes(1)
+      done()
+    })
+  })
+
+  it('keeps the outlets through redirects', () => {
+    const route = factory().match('/old-inbox/5(chat:bob)')
+    expect(route.fullPath).toBe('/inbox/5(chat:bob)')
+    expect(route.outlets.chat.params).toEqual({ user: 'bob' })
+  })
+
+  it('leaves parentheses in the path when the router has no outlets', () => {
+    spyOn(console, 'warn')
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [{ path: '/files/:name', name: 'file', component: {}}]
+    })
+    const route = router.match('/files/(draft:1)')
+    expect(route.name).toBe('file')
+    expect(route.params).toEqual({ name: '(draft:1)' })
+    expect(route.fullPath).toBe('/files/(draft:1)')
+    expect(route.outlets).toBeUndefined()
+    expect(console.warn).not.toHaveBeenCalled()
+  })
+
+  it('renders the outlet routes in the RouterViews of the same name', done => {
+    const router = factory()
+    router.push('/inbox/5(inspector:details/3/history)').then(() => render(router)).then(html => {
+      expect(html).toBe('<div data-server-rendered="true"><div>message</div><div>details <div>history</div></div></div>')
+      return router.push({ outlets: { inspector: null }}).then(() => render(router))
+    }).then(html => {
+      expect(html).toBe('<div data-server-rendered="true"><div>message</div><!----></div>')
+      done()
+    })
+  })
+})
@@ -0,0 +1,144 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+import { QueryHistory, getQueryPath, setQueryPath } from '../../../src/history/query'
+
+Vue.use(VueRouter)
+
+describe('query history', () => {
+  describe('getQueryPath', () => {
+    it('reads the full path from the query parameter', () => {
+      expect(getQueryPath('?lang=en&app=/orders/5%3Ftab%3Ditems', 'app')).toBe('/orders/5?tab=items')
+      expect(getQueryPath('?app=%2Forders%2F5&lang=en', 'app')).toBe('/orders/5')
+    })
+
+    it('adds the leading slash', () => {
+      expect(getQueryPath('?app=orders', 'app')).toBe('/orders')
+    })
+
+    it('starts at the root without the parameter', () => {
+      expect(getQueryPath('', 'app')).toBe('/')
+      expect(getQueryPath('?lang=en&application=/foo', 'app')).toBe('/')
+    })
+  })
+
+  describe('setQueryPath', () => {
+    it('appends the parameter and keeps the other parameters', () => {
+      expect(setQueryPath('?lang=en&debug', 'app', '/orders/5')).toBe('?lang=en&debug&app=/orders/5')
+      expect(setQueryPath('', 'app', '/')).toBe('?app=/')
+    })
+
+    it('replaces the parameter in place', () => {
+      expect(setQueryPath('?app=/foo&lang=en', 'app', '/bar')).toBe('?app=/bar&lang=en')
+    })
+
+    it('encodes the query and the hash of the route', () => {
+      const search = setQueryPath('?lang=en', 'app', '/orders/5?tab=items&sort=a b#top')
+      expect(search).toBe('?lang=en&app=/orders/5%3Ftab%3Ditems%26sort%3Da%20b%23top')
+      expect(getQueryPath(search, 'app')).toBe('/orders/5?tab=items&sort=a b#top')
+    })
+  })
+
+  describe('QueryHistory', () => {
+    let router, history
+
+    // a minimal window with the location of a page embedding the app
+    function createWindow (url) {
+      const listeners = {}
+      const win = {
+        listeners,
+        location: {},
+        history: {
+          state: null,
+          pushState: jasmine.createSpy('pushState').and.callFake((state, title, url) => {
+            win.history.state = state
+            setLocation(url)
+          }),
+          replaceState: jasmine.createSpy('replaceState').and.callFake((state, title, url) => {
+            win.history.state = state
+            setLocation(url)
+          })
+        },
+        addEventListener (type, fn) {
+          listeners[type] = fn
+        },
+        removeEventListener (type) {
+          delete listeners[type]
+        }
+      }
+      function setLocation (url) {
+        const { pathname, search, hash } = new URL(url, 'https://example.com')
+        win.location = { pathname, search, hash }
+      }
+      win.setLocation = setLocation
+      setLocation(url)
+      return win
+    }
+
+    beforeEach(() => {
+      global.window = createWindow('/shop?lang=en&app=/foo#top')
+      router = new VueRouter({
+        mode: 'abstract',
+        queryKey: 'app',
+        routes: [
+          { path: '/foo', component: {}},
+          { path: '/bar', component: {}}
+        ]
+      })
+      history = router.history = new QueryHistory(router)
+    })
+
+    afterEach(() => {
+      history.teardown()
+      delete global.window
+    })
+
+    it('reads the route from the parameter', () => {
+      expect(history.getCurrentLocation()).toBe('/foo')
+    })
+
+    it('keeps the other parameters when pushing and replacing', done => {
+      router.push('/foo').then(() => {
+        return router.push('/bar?tab=items')
+      }).then(() => {
+        expect(window.history.pushState.calls.mostRecent().args[2]).toBe('/shop?lang=en&app=/bar%3Ftab%3Ditems#top')
+        expect(window.location.search).toBe('?lang=en&app=/bar%3Ftab%3Ditems')
+        return router.replace('/foo')
+      }).then(() => {
+        expect(window.history.replaceState.calls.mostRecent().args[2]).toBe('/shop?lang=en&app=/foo#top')
+        expect(router.currentRoute.fullPath).toBe('/foo')
+        done()
+      })
+    })
+
+    it('restores the parameter of the current route in ensureURL', done => {
+      router.push('/bar').then(() => {
+        window.setLocation('/shop?app=/foo&lang=en#top')
+        history.ensureURL()
+        expect(window.history.replaceState.calls.mostRecent().args[2]).toBe('/shop?app=/bar&lang=en#top')
+        window.setLocation('/shop?app=/foo&lang=en#top')
+        history.ensureURL(true)
+        expect(window.history.pushState.calls.mostRecent().args[2]).toBe('/shop?app=/bar&lang=en#top')
+        done()
+      })
+    })
+
+    it('matches the parameter again on popstate', done => {
+      history.setupListeners()
+      router.push('/foo').then(() => {
+        window.setLocation('/shop?lang=en&app=/bar#top')
+        window.listeners.popstate()
+        return new Promise(resolve => setTimeout(resolve))
+      }).then(() => {
+        expect(router.currentRoute.path).toBe('/bar')
+        // the url of the popped entry is kept
+        expect(window.history.pushState.calls.count()).toBe(1)
+        done()
+      })
+    })
+
+    it('resolves the href with the other parameters of the page', () => {
+      expect(router.resolve('/bar?tab=items').href).toBe('/shop?lang=en&app=/bar%3Ftab%3Ditems#top')
+      expect(router.resolve({ path: '/foo', hash: '#a' }).href).toBe('/shop?lang=en&app=/foo%23a#top')
+    })
+  })
+})
@@ -0,0 +1,115 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
+
+Vue.use(VueRouter)
+
+describe('queryModel', () => {
+  function factory () {
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [{ path: '/list', component: {}}]
+    })
+    const vm = new Vue({
+      router,
+      computed: {
+        page: VueRouter.queryModel('page', { type: 'integer', default: 1 }),
+        sort: VueRouter.queryModel('sort', { default: 'date', push: true }),
+        status: VueRouter.queryModel('status', { array: true, default: [] }),
+        q: VueRouter.queryModel('q', { default: '', debounce: 300 })
+      }
+    })
+    return router.push('/list?page=3&status=open').then(() => ({ router, vm }))
+  }
+
+  it('reads the typed query values and their defaults', done => {
+    factory().then(({ router, vm }) => {
+      expect(vm.page).toBe(3)
+      expect(vm.sort).toBe('date')
+      expect(vm.status).toEqual(['open'])
+      spyOn(console, 'warn')
+      return router.push('/list?page=x').then(() => {
+        expect(vm.page).toBe(1)
+        expect(console.warn).toHaveBeenCalled()
+        done()
+      })
+    })
+  })
+
+  it('warns about an invalid value once per navigation', done => {
+    factory().then(({ router, vm }) => {
+      spyOn(console, 'warn')
+      return router.push('/list?page=x').then(() => {
+        const { get } = vm.$options.computed.page
+        expect(get.call(vm)).toBe(1)
+        expect(get.call(vm)).toBe(1)
+        expect(vm.page).toBe(1)
+        expect(console.warn).toHaveBeenCalledTimes(1)
+        expect(console.warn.calls.argsFor(0)[0]).toMatch('invalid value for query "page"')
+        return router.push('/list?page=y')
+      }).then(() => {
+        expect(vm.page).toBe(1)
+        expect(console.warn).toHaveBeenCalledTimes(2)
+        done()
+      })
+    })
+  })
+
+  it('replaces the query and leaves the defaults out', done => {
+    factory().then(({ router, vm }) => {
+      const length = router.history.stack.length
+      vm.page = 2
+      expect(router.currentRoute.fullPath).toBe('/list?page=2&status=open')
+      vm.page = 1
+      vm.status = ['open', 'paid']
+      expect(vm.page).toBe(1)
+      expect(router.currentRoute.fullPath).toBe('/list?status=open&status=paid')
+      expect(router.history.stack.length).toBe(length)
+      vm.sort = 'total'
+      expect(router.currentRoute.query.sort).toBe('total')
+      expect(router.history.stack.length).toBe(length + 1)
+      done()
+    })
+  })
+
+  it('keeps the changes of the same tick when the navigations are async', done => {
+    factory().then(({ router, vm }) => {
+      router.beforeEach((to, from, next) => setTimeout(next))
+      vm.page = 5
+      vm.status = []
+      expect(vm.page).toBe(5)
+      expect(vm.status).toEqual([])
+      router.afterEach(to => {
+        if (to.fullPath === '/list?page=5') done()
+      })
+    })
+  })
+
+  it('debounces the navigation', done => {
+    factory().then(({ router, vm }) => {
+      jasmine.clock().install()
+      vm.q = 'te'
+      vm.q = 'tea'
+      expect(vm.q).toBe('tea')
+      expect(router.currentRoute.query.q).toBeUndefined()
+      jasmine.clock().tick(300)
+      jasmine.clock().uninstall()
+      expect(router.currentRoute.query.q).toBe('tea')
+      expect(vm.q).toBe('tea')
+      done()
+    })
+  })
+
+  it('drops the debounced value when the component is destroyed', done => {
+    factory().then(({ router, vm }) => {
+      jasmine.clock().install()
+      const replace = spyOn(router, 'replace').and.callThrough()
+      vm.q = 'tea'
+      vm.$destroy()
+      jasmine.clock().tick(300)
+      jasmine.clock().uninstall()
+      expect(replace).not.toHaveBeenCalled()
+      expect(router.currentRoute.query.q).toBeUndefined()
+      done()
+    })
+  })
+})
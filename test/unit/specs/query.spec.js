@@ -1,5 +1,9 @@
+import Vue from 'vue'
+import VueRouter from '../../../src/index'
 import { resolveQuery, stringifyQuery } from '../../../src/util/query'
 
+Vue.use(VueRouter)
+
 describe('Query utils', () => {
   describe('resolveQuery', () => {
     it('should work', () => {
@@ -83,4 +87,74 @@ describe('Query utils', () => {
       ).toBe('?list=1,2,3')
     })
   })
+
+  describe('query formats', () => {
+    const query = {
+      filter: { status: 'open', tags: ['a', 'b'] },
+      page: '2'
+    }
+
+    it('bracket', () => {
+      const search = stringifyQuery(query, 'bracket')
+      expect(search).toBe('?filter[status]=open&filter[tags][]=a&filter[tags][]=b&page=2')
+      expect(resolveQuery(search, {}, null, 'bracket')).toEqual(query)
+      expect(resolveQuery('filter%5Bstatus%5D=open', {}, null, 'bracket')).toEqual({ filter: { status: 'open' }})
+    })
+
+    it('index', () => {
+      const search = stringifyQuery({ items: [{ id: '1' }, { id: '2' }] }, 'index')
+      expect(search).toBe('?items[0][id]=1&items[1][id]=2')
+      expect(resolveQuery(search, {}, null, 'index')).toEqual({ items: [{ id: '1' }, { id: '2' }] })
+      expect(stringifyQuery(query, 'index')).toBe('?filter[status]=open&filter[tags][0]=a&filter[tags][1]=b&page=2')
+    })
+
+    it('comma', () => {
+      const search = stringifyQuery({ ids: ['1', '2'], q: 'a,b', filter: { tags: ['x', 'y'] }}, 'comma')
+      expect(search).toBe('?ids=1,2&q=a%2Cb&filter[tags]=x,y')
+      expect(resolveQuery(search, {}, null, 'comma')).toEqual({ ids: ['1', '2'], q: 'a,b', filter: { tags: ['x', 'y'] }})
+    })
+
+    it('json', () => {
+      const search = stringifyQuery(query, 'json')
+      expect(search).toBe('?filter=' + encodeURIComponent('{"status":"open","tags":["a","b"]}') + '&page=2')
+      expect(resolveQuery(search, {}, null, 'json')).toEqual(query)
+      expect(resolveQuery('q=%7Bnot%20json', {}, null, 'json')).toEqual({ q: '{not json' })
+    })
+
+    it('keeps brackets in the keys of the repeat format', () => {
+      expect(resolveQuery('a[b]=1', {})).toEqual({ 'a[b]': '1' })
+    })
+
+    it('ignores keys changing the prototype', () => {
+      const parsed = resolveQuery('__proto__[polluted]=1&a[constructor][prototype][polluted]=1', {}, null, 'bracket')
+      expect(parsed).toEqual({})
+      expect({}.polluted).toBeUndefined()
+    })
+
+    it('keeps the flat keys named like the properties of the prototype', () => {
+      const query = 'prototype=1&constructor=x&__proto__=%7B%22polluted%22%3A1%7D&__proto__=y'
+      const formats = ['repeat', 'bracket', 'json']
+      formats.forEach(format => {
+        const parsed = resolveQuery(query, {}, null, format)
+        expect(Object.keys(parsed)).toEqual(['prototype', 'constructor'])
+        expect(parsed.prototype).toBe('1')
+        expect(parsed.constructor).toBe('x')
+        expect(Object.getPrototypeOf(parsed)).toBe(Object.prototype)
+      })
+      expect(resolveQuery('prototype=1')).toEqual({ prototype: '1' })
+    })
+
+    it('is used by the full paths and the links of the router', () => {
+      const router = new VueRouter({
+        queryFormat: 'bracket',
+        routes: [{ path: '/search', component: {}}]
+      })
+      const { route, href } = router.resolve({ path: '/search', query: { filter: { tags: ['a'] }}})
+      expect(route.fullPath).toBe('/search?filter[tags][]=a')
+      expect(href).toBe('/search?filter[tags][]=a')
+      expect(router.resolve('/search?filter[tags][]=a&filter[tags][]=b').route.query).toEqual({
+        filter: { tags: ['a', 'b'] }
+      })
+    })
+  })
 })
@@ -0,0 +1,65 @@
+import VueRouter from '../../../src/index'
+
+describe('sticky query', () => {
+  const component = {}
+
+  function factory () {
+    return new VueRouter({
+      stickyQuery: ['tenant', 'lang'],
+      routes: [
+        { path: '/', name: 'home', component },
+        {
+          path: '/reports',
+          component,
+          stickyQuery: ['range'],
+          children: [
+            { path: 'sales', name: 'sales', component },
+            { path: 'users/:id', name: 'user', component }
+          ]
+        }
+      ]
+    })
+  }
+
+  it('carries the sticky keys of the current route over', () => {
+    const router = factory()
+    const current = router.match('/?tenant=acme&lang=fr&page=2')
+    expect(router.resolve('/reports/sales', current).route.fullPath).toBe('/reports/sales?tenant=acme&lang=fr')
+    expect(router.resolve({ name: 'sales' }, current).route.query).toEqual({ tenant: 'acme', lang: 'fr' })
+    expect(router.resolve({ hash: '#top' }, current).route.fullPath).toBe('/?tenant=acme&lang=fr#top')
+    expect(router.resolve('/reports/sales', current).href).toBe('/reports/sales?tenant=acme&lang=fr')
+  })
+
+  it('keeps the given values and removes undefined ones', () => {
+    const router = factory()
+    const current = router.match('/?tenant=acme&lang=fr')
+    expect(router.resolve('/?lang=en', current).route.query).toEqual({ lang: 'en', tenant: 'acme' })
+    expect(router.resolve({ path: '/', query: { tenant: undefined }}, current).route.fullPath).toBe('/?lang=fr')
+    expect(router.resolve({ params: { id: '2' }}, router.match('/reports/users/1?tenant=acme')).route.fullPath)
+      .toBe('/reports/users/2?tenant=acme')
+  })
+
+  it('carries the keys of a route within its children only', () => {
+    const router = factory()
+    const current = router.match('/reports/sales?range=week&tenant=acme')
+    expect(router.resolve('/reports/users/1', current).route.fullPath).toBe('/reports/users/1?tenant=acme&range=week')
+    expect(router.resolve({ name: 'user', params: { id: '1' }}, current).route.query).toEqual({ tenant: 'acme', range: 'week' })
+    expect(router.resolve('/', current).route.fullPath).toBe('/?tenant=acme')
+    expect(router.resolve('/reports/sales', router.match('/?range=week')).route.fullPath).toBe('/reports/sales')
+  })
+
+  it('does not carry the keys over when the URL is matched again', done => {
+    const router = factory()
+    router.push('/?tenant=acme&lang=fr').then(() => {
+      return router.push('/reports/sales')
+    }).then(route => {
+      expect(route.fullPath).toBe('/reports/sales?tenant=acme&lang=fr')
+      // going back to an entry without the keys keeps the URL of the entry
+      router.history.transitionTo('/?lang=fr', route => {
+        expect(route.fullPath).toBe('/?lang=fr')
+        expect(router.match('/reports/sales', route).fullPath).toBe('/reports/sales')
+        done()
+      }, done.fail, true)
+    })
+  })
+})
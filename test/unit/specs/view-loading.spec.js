@@ -0,0 +1,113 @@
+import Vue from 'vue'
+import { createRenderer } from 'vue-server-renderer'
+import VueRouter from '../../../src/index'
+
+Vue.use(VueRouter)
+
+describe('RouterView loading and error components', () => {
+  const Home = { render: h => h('div', 'home') }
+  const Loading = { render: h => h('div', 'loading') }
+  const Failed = {
+    props: ['error', 'retry'],
+    render (h) {
+      return h('div', `failed: ${this.error.message}`)
+    }
+  }
+  const { renderToString } = createRenderer()
+
+  function factory (component, options) {
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: Home },
+        Object.assign({ path: '/async', component }, options)
+      ]
+    })
+    return router.push('/').then(() => router)
+  }
+
+  function render (router, props) {
+    return renderToString(new Vue({
+      router,
+      render: h => h('router-view', { props })
+    }))
+  }
+
+  it('renders the loading component of the route once the delay is over', done => {
+    factory(() => new Promise(() => {}), { loadingComponent: Loading, loadingDelay: 0 }).then(router => {
+      router.push('/async')
+      return render(router)
+    }).then(html => {
+      expect(html).toContain('loading')
+      done()
+    })
+  })
+
+  it('keeps the current view during the delay', done => {
+    factory(() => new Promise(() => {})).then(router => {
+      router.push('/async')
+      return render(router, { loadingComponent: Loading })
+    }).then(html => {
+      expect(html).toContain('home')
+      done()
+    })
+  })
+
+  it('renders the error component when the async component fails', done => {
+    let router
+    let fail = true
+    factory(() => fail ? Promise.reject(new Error('chunk failed')) : Promise.resolve(Loading)).then(r => {
+      router = r
+      router.onError(() => {})
+      spyOn(console, 'warn')
+      return router.push('/async').catch(err => err)
+    }).then(err => {
+      expect(err.message).toBe('chunk failed')
+      expect(router.history.loading.error).toBe(err)
+      return render(router, { errorComponent: Failed })
+    }).then(html => {
+      expect(html).toContain('failed: chunk failed')
+      fail = false
+      return router.push('/async')
+    }).then(route => {
+      expect(route.path).toBe('/async')
+      expect(router.history.loading).toBe(null)
+      done()
+    })
+  })
+
+  it('renders the error component after the timeout', done => {
+    factory(() => new Promise(() => {}), { errorComponent: Failed }).then(router => {
+      router.push('/async')
+      return render(router, { loadingTimeout: 0 })
+    }).then(html => {
+      expect(html).toContain('failed: Loading the components of &quot;/async&quot; timed out after 0ms.')
+      done()
+    })
+  })
+
+  it('does not replace views that are not changed by the navigation', done => {
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [
+        {
+          path: '/parent',
+          component: { render: h => h('div', ['parent ', h('router-view')]) },
+          children: [
+            { path: 'a', component: Home },
+            { path: 'b', component: () => new Promise(() => {}), loadingComponent: Loading, loadingDelay: 0 }
+          ]
+        }
+      ]
+    })
+    router.push('/parent/a').then(() => {
+      router.push('/parent/b')
+      return render(router)
+    }).then(html => {
+      expect(html).toContain('parent')
+      expect(html).toContain('loading')
+      expect(html).not.toContain('home')
+      done()
+    })
+  })
+})
@@ -5,14 +5,27 @@ export default VueRouter
 
 export {
   RouterMode,
+  QueryFormat,
   RawLocation,
   RedirectOption,
   RouterOptions,
+  AsyncRetryOptions,
+  HistoryStorage,
+  RouterHistory,
+  AbstractHistory,
+  AbstractHistoryChange,
+  NavigationHistory,
   RouteConfig,
+  RouteParamType,
+  RouteQueryType,
+  QueryModelOptions,
+  RouteLoader,
   RouteRecord,
   RouteRecordPublic,
   Location,
+  LocationQueryValue,
   Route,
+  RouteQueryValue,
   NavigationGuard,
   NavigationGuardNext,
   NavigationFailureType,
@@ -4,7 +4,8 @@ type Component = ComponentOptions<Vue> | typeof Vue | AsyncComponent
 type Dictionary<T> = { [key: string]: T }
 type ErrorHandler = (err: Error) => void
 
-export type RouterMode = 'hash' | 'history' | 'abstract'
+export type QueryFormat = 'repeat' | 'bracket' | 'index' | 'comma' | 'json'
+export type RouterMode = 'hash' | 'history' | 'navigation' | 'query' | 'abstract' | 'child'
 export type RawLocation = string | Location
 export type RedirectOption = RawLocation | ((to: Route) => RawLocation)
 export type NavigationGuardNext<V extends Vue = Vue> = (
@@ -14,7 +15,8 @@ export type NavigationGuardNext<V extends Vue = Vue> = (
 export type NavigationGuard<V extends Vue = Vue> = (
   to: Route,
   from: Route,
-  next: NavigationGuardNext<V>
+  next: NavigationGuardNext<V>,
+  signal?: AbortSignal
 ) => any
 
 export declare class VueRouter {
@@ -24,10 +26,15 @@ export declare class VueRouter {
   options: RouterOptions
   mode: RouterMode
   currentRoute: Route
+  readonly backgroundRoute: Route | null
+  readonly history: RouterHistory | AbstractHistory | NavigationHistory
+  readonly historyState: Dictionary<any> | null
 
   beforeEach(guard: NavigationGuard): Function
   beforeResolve(guard: NavigationGuard): Function
-  afterEach(hook: (to: Route, from: Route) => any): Function
+  afterEach(
+    hook: (to: Route, from: Route, failure?: NavigationFailure) => any
+  ): Function
   push(location: RawLocation): Promise<Route>
   replace(location: RawLocation): Promise<Route>
   push(
@@ -43,13 +50,16 @@ export declare class VueRouter {
   go(n: number): void
   back(): void
   forward(): void
+  replaceHistoryState(state: Dictionary<any> | null): void
   getMatchedComponents(to?: RawLocation | Route): Component[]
   onReady(cb: Function, errorCb?: ErrorHandler): void
   onError(cb: ErrorHandler): void
   addRoutes(routes: RouteConfig[]): void
 
-  addRoute(parent: string, route: RouteConfig): void
-  addRoute(route: RouteConfig): void
+  addRoute(parent: string, route: RouteConfig): () => void
+  addRoute(route: RouteConfig): () => void
+  removeRoute(name: string): void
+  hasRoute(name: string): boolean
   getRoutes(): RouteRecordPublic[]
 
   resolve(
@@ -77,13 +87,19 @@ export declare class VueRouter {
   }
 
   static START_LOCATION: Route
+
+  static queryModel<T = any>(
+    key: string,
+    options?: QueryModelOptions
+  ): { get(this: Vue): T; set(this: Vue, value: T): void }
 }
 
 export enum NavigationFailureType {
   redirected = 2,
   aborted = 4,
   cancelled = 8,
-  duplicated = 16
+  duplicated = 16,
+  timedOut = 32
 }
 
 export interface NavigationFailure extends Error {
@@ -97,21 +113,71 @@ type PositionResult = Position | { selector: string; offset?: Position, behavior
 
 export interface RouterOptions {
   routes?: RouteConfig[]
+  outlets?: Dictionary<RouteConfig[]>
   mode?: RouterMode
   fallback?: boolean
   base?: string
   linkActiveClass?: string
   linkExactActiveClass?: string
-  parseQuery?: (query: string) => Object
-  stringifyQuery?: (query: Object) => string
+  parseQuery?: (query: string, format?: QueryFormat) => Object
+  stringifyQuery?: (query: Object, format?: QueryFormat) => string
+  queryFormat?: QueryFormat
+  stickyQuery?: string[]
   scrollBehavior?: (
     to: Route,
     from: Route,
     savedPosition: Position | void
   ) => PositionResult | Promise<PositionResult> | undefined | null
+  navigationTimeout?: number
+  asyncRetry?: AsyncRetryOptions
+  reloadOnChunkError?: boolean | ((error: Error, to: Route) => boolean)
+  storage?: 'session' | 'local' | HistoryStorage
+  storageKey?: string
+  hashPrefix?: string
+  queryKey?: string
+  parent?: VueRouter
+  prefix?: string
+}
+
+export interface AsyncRetryOptions {
+  retries?: number
+  delay?: number | ((attempt: number) => number)
 }
 
-type RoutePropsFunction = (route: Route) => Object
+export interface RouterHistory {
+  readonly current: Route
+}
+
+export interface AbstractHistory extends RouterHistory {
+  readonly stack: Route[]
+  readonly index: number
+  readonly canGoBack: boolean
+  readonly canGoForward: boolean
+  onChange(cb: (change: AbstractHistoryChange) => void): Function
+}
+
+export interface NavigationHistory extends RouterHistory {
+  readonly canGoBack: boolean
+  readonly canGoForward: boolean
+}
+
+export interface AbstractHistoryChange {
+  type: 'push' | 'replace' | 'go'
+  index: number
+  stack: Route[]
+}
+
+export interface HistoryStorage {
+  getItem(key: string): string | null | undefined
+  setItem(key: string, value: string): void
+}
+
+type RoutePropsFunction = (route: Route, loaderData?: any) => Object
+
+export type RouteLoader = (
+  to: Route,
+  context: { from: Route; signal?: AbortSignal }
+) => any
 
 export interface PathToRegexpOptions {
   sensitive?: boolean
@@ -119,16 +185,55 @@ export interface PathToRegexpOptions {
   end?: boolean
 }
 
+export type RouteParamType =
+  | 'number'
+  | 'integer'
+  | 'boolean'
+  | { type: 'number' | 'integer' | 'boolean' }
+  | { type: 'enum'; values: any[] }
+  | {
+      parse: (value: string) => any
+      stringify?: (value: any) => string
+    }
+
+export type RouteQueryType =
+  | RouteParamType
+  | 'string'
+  | {
+      type?: 'string' | 'number' | 'integer' | 'boolean' | 'enum'
+      values?: any[]
+      parse?: (value: string) => any
+      stringify?: (value: any) => string
+      array?: boolean
+      default?: any
+    }
+
+export type QueryModelOptions = Exclude<RouteQueryType, string> & {
+  push?: boolean
+  debounce?: number
+}
+
 interface _RouteConfigBase {
   path: string
   name?: string
-  children?: RouteConfig[]
+  children?:
+    | RouteConfig[]
+    | (() => Promise<RouteConfig[] | { default: RouteConfig[] }>)
   redirect?: RedirectOption
   alias?: string | string[]
   meta?: any
   beforeEnter?: NavigationGuard
   caseSensitive?: boolean
   pathToRegexpOptions?: PathToRegexpOptions
+  params?: Dictionary<RouteParamType>
+  query?: Dictionary<RouteQueryType>
+  stickyQuery?: string[]
+  navigationTimeout?: number
+  loader?: RouteLoader
+  loadingComponent?: Component
+  errorComponent?: Component
+  loadingDelay?: number
+  loadingTimeout?: number
 }
 
 interface RouteConfigSingleView extends _RouteConfigBase {
@@ -184,25 +289,43 @@ export interface RouteRecordPublic {
     | Dictionary<boolean | Object | RoutePropsFunction>
 }
 
+// the queryFormat option parses and stringifies nested objects and arrays
+export type LocationQueryValue =
+  | string
+  | null
+  | undefined
+  | LocationQueryValue[]
+  | { [key: string]: LocationQueryValue }
+
+export type RouteQueryValue =
+  | string
+  | (RouteQueryValue | null)[]
+  | { [key: string]: RouteQueryValue | null }
 
 export interface Location {
   name?: string
   path?: string
   hash?: string
-  query?: Dictionary<string | (string | null)[] | null | undefined>
-  params?: Dictionary<string>
+  query?: Dictionary<LocationQueryValue>
+  params?: Dictionary<any>
   append?: boolean
   replace?: boolean
+  signal?: AbortSignal
+  background?: RawLocation | true
+  outlets?: Dictionary<string | null>
+  state?: Dictionary<any>
 }
 
 export interface Route {
   path: string
   name?: string | null
   hash: string
-  query: Dictionary<string | (string | null)[]>
-  params: Dictionary<string>
+  query: Dictionary<RouteQueryValue>
+  params: Dictionary<any>
   fullPath: string
   matched: RouteRecord[]
   redirectedFrom?: string
   meta?: any
+  outlets?: Dictionary<Route>
+  loaderData?: any[]
 }
@@ -3,10 +3,13 @@ import Vue, { ComponentOptions, AsyncComponent } from 'vue'
 import VueRouter from '../index'
 import {
   Route,
+  RouteQueryValue,
   RouteRecord,
   RedirectOption,
   NavigationFailure,
-  NavigationFailureType
+  NavigationFailureType,
+  AbstractHistory,
+  NavigationHistory
 } from '../index'
 
 Vue.use(VueRouter)
@@ -21,6 +24,9 @@ let err: any
 if (VueRouter.isNavigationFailure(err, VueRouter.NavigationFailureType.aborted)) {
   err.from.fullPath.split('/')
 }
+if (VueRouter.isNavigationFailure(err, VueRouter.NavigationFailureType.timedOut)) {
+  err.to.fullPath.split('/')
+}
 
 let navigationFailure = new Error() as NavigationFailure
 navigationFailure.to.fullPath.split('/')
@@ -58,6 +64,14 @@ const router = new VueRouter({
   fallback: false,
   linkActiveClass: 'active',
   linkExactActiveClass: 'exact-active',
+  asyncRetry: { retries: 2, delay: attempt => attempt * 500 },
+  outlets: {
+    inspector: [{ path: '/details/:id', component: Home }]
+  },
+  storage: 'session',
+  storageKey: 'app-history',
+  hashPrefix: '#!/',
+  reloadOnChunkError: (error, to) => error.name === 'ChunkLoadError' && to.path !== '/',
   scrollBehavior: (to, from, savedPosition) => {
     if (from.path === '/') {
       return { selector: '#app' }
@@ -127,10 +141,40 @@ const router = new VueRouter({
         }
       ]
     },
+    {
+      path: '/lazy',
+      component: Home,
+      children: () => Promise.resolve([{ path: 'child', component: Foo }])
+    },
     { path: '/home', alias: '/' },
     { path: '/foo', props: true },
     { path: '/bar', props: { id: 123 } },
     { path: '/baz', props: (route: Route) => route.params },
+    {
+      path: '/loaded',
+      loader: (to, { from, signal }) => Promise.resolve({ id: to.params.id }),
+      props: (route, data) => ({ item: data })
+    },
+    {
+      path: '/async',
+      component: () => Promise.resolve(Hook),
+      loadingComponent: Hook,
+      errorComponent: Hook,
+      loadingDelay: 100,
+      loadingTimeout: 3000
+    },
+    {
+      path: '/users/:id/:tab/:draft/:day',
+      params: {
+        id: 'integer',
+        tab: { type: 'enum', values: ['info', 'posts'] },
+        draft: { type: 'boolean' },
+        day: {
+          parse: (value: string) => new Date(value),
+          stringify: (date: Date) => date.toISOString()
+        }
+      }
+    },
     { path: '*', redirect: '/' }
   ]
 })
@@ -142,7 +186,11 @@ const route: Route = router.currentRoute
 const path: string = route.path
 const name: string | undefined | null = route.name
 const hash: string = route.hash
-const query: string | (string | null)[] | null = route.query['foo']
+const query: RouteQueryValue | null = route.query['foo']
+const nestedQuery = route.query['filter']
+if (nestedQuery && typeof nestedQuery === 'object' && !Array.isArray(nestedQuery)) {
+  const nestedValue: RouteQueryValue | null = nestedQuery['status']
+}
 const params: string = route.params['bar']
 const fullPath: string = route.fullPath
 const redirectedFrom: string | undefined = route.redirectedFrom
@@ -174,11 +222,46 @@ router.beforeResolve((to, from, next) => {
   next()
 })
 
+router.beforeEach(async (to, from) => {
+  if (to.params.id) return false
+  if (from.params.id) return { name: 'home' }
+})
+
+router.beforeEach((to, from, next, signal) => {
+  if (signal) signal.addEventListener('abort', () => {})
+  next()
+})
+
+router.push({ path: '/', signal: new AbortController().signal })
+router.push({ path: '/photos/1', background: true })
+router.push({ path: '/photos/1', background: { name: 'home' } })
+const background: Route | null = router.backgroundRoute
+router.push({ path: '/form', state: { draft: 'text' } })
+const draft: string = router.historyState ? router.historyState.draft : ''
+router.replaceHistoryState({ draft, tab: 2 })
+const navigationRouter = new VueRouter({ mode: 'navigation' })
+if ((navigationRouter.history as NavigationHistory).canGoBack) navigationRouter.back()
+const memory = router.history as AbstractHistory
+if (memory.canGoBack && !memory.canGoForward) router.go(-1)
+const entries: Route[] = memory.stack.slice(0, memory.index)
+const stopListening: Function = memory.onChange(change => {
+  if (change.type === 'go') change.stack[change.index].fullPath
+})
+router.push({ outlets: { inspector: '/details/1', chat: null } })
+const inspector: Route | undefined = route.outlets && route.outlets.inspector
+const loaderData: any[] | undefined = route.loaderData
+
 router.afterEach((to, from) => {
   to.params
   from.params
 })
 
+router.afterEach((to, from, failure) => {
+  if (failure && VueRouter.isNavigationFailure(failure, NavigationFailureType.redirected)) {
+    failure.from.fullPath
+  }
+})
+
 router.push({
   path: '/',
   params: {
@@ -189,7 +272,9 @@ router.push({
     empty: null,
     removed: undefined,
     withEmpty: ['1', null],
-    foo: ['foo1', 'foo2']
+    foo: ['foo1', 'foo2'],
+    filter: { status: 'open', tags: ['a', 'b'], range: { from: '1' }},
+    items: [{ id: '1' }, { id: '2' }]
   },
   hash: 'hash'
 })
@@ -219,6 +304,12 @@ router.onReady(() => {})
 
 router.addRoutes([{ path: '/more' }])
 
+const removeMore: () => void = router.addRoute({ path: '/more', name: 'more' })
+router.addRoute('more', { path: 'child' })
+const hasMore: boolean = router.hasRoute('more')
+router.removeRoute('more')
+removeMore()
+
 router.go(-1)
 router.back()
 router.forward()
@@ -246,3 +337,16 @@ const vm = new Vue({
 
 vm.$router.push('/')
 vm.$route.params
+
+const Filters = Vue.extend({
+  computed: {
+    page: VueRouter.queryModel<number>('page', { type: 'integer', default: 1 }),
+    search: VueRouter.queryModel<string>('q', { default: '', debounce: 300, push: true })
+  },
+  methods: {
+    next () {
+      this.page = this.page + 1
+      this.search.trim()
+    }
+  }
+})